@@ -1,179 +1,148 @@
 // aiService.js
 
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const OpenAI = require("openai");
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
-
-// --- Initialization ---
-// Explicitly assign API keys from process.env (loaded by dotenv in index.js)
-const GEMINI_KEY = process.env.GEMINI_API_KEY;
-const OPENAI_KEY = process.env.OPENAI_API_KEY;
-
-console.log('=== API Key Debug ===');
-console.log('GEMINI_API_KEY exists:', !!GEMINI_KEY);
-console.log('GEMINI_API_KEY length:', GEMINI_KEY ? GEMINI_KEY.length : 0);
-console.log('GEMINI_API_KEY first 10 chars:', GEMINI_KEY ? GEMINI_KEY.substring(0, 10) : 'N/A');
-console.log('OPENAI_API_KEY exists:', !!OPENAI_KEY);
-console.log('=====================');
-
-if (!GEMINI_KEY || !OPENAI_KEY) {
-    console.error("CRITICAL: One or both API keys are missing. Ensure GEMINI_API_KEY and OPENAI_API_KEY are set in your .env file.");
+const providers = require('./providers');
+const { geminiExtractionSchema, validateAgainstSchema } = require('./schemas');
+const { sanitizeGuideHtml } = require('./sanitize');
+const { chunkText } = require('./articleFetcher');
+const profiles = require('./profiles');
+const { renderPrompt } = require('./prompts');
+const { checkInfographic } = require('./infographic');
+
+// Chunk size for providers that do not declare maxInputChars
+const DEFAULT_MAX_INPUT_CHARS = 12000;
+
+// Look up a registered provider that is ready to take calls
+function getConfiguredProvider(providerName) {
+    const provider = providers.getProvider(providerName);
+    if (!provider) {
+        throw new Error(`Unknown AI provider: ${providerName}`);
+    }
+    if (!provider.isConfigured()) {
+        throw new Error(`AI provider ${providerName} is not configured. Check its settings in your .env file.`);
+    }
+    return provider;
 }
 
-// Initialize AI clients
-const genAI = new GoogleGenerativeAI(GEMINI_KEY);
-const openai = new OpenAI({ apiKey: OPENAI_KEY });
-
-// Helper function to call Gemini v1 API directly (bypassing SDK's v1beta)
-async function callGeminiV1API(model, prompt, config = {}) {
-    const url = `https://generativelanguage.googleapis.com/v1/models/${model}:generateContent`;
-    
-    const requestBody = {
-        contents: [{
-            parts: [{
-                text: prompt
-            }]
-        }]
-    };
-    
-    if (config.generationConfig) {
-        requestBody.generationConfig = config.generationConfig;
+// Strip markdown fences, unwrap the OpenAI tool-call object if present and
+// check the features against featureObjectSchema.
+// Returns { features, problems }; features is null when the output is unusable.
+function parseExtractionResult(jsonText) {
+    if (typeof jsonText !== 'string' || jsonText.trim() === '') {
+        return { features: null, problems: ['the model returned an empty response'] };
     }
-    
+
+    let parsed;
     try {
-        const response = await axios.post(`${url}?key=${GEMINI_KEY}`, requestBody, {
-            headers: { 'Content-Type': 'application/json' }
-        });
-        
-        return response.data.candidates[0].content.parts[0].text;
+        const cleaned = jsonText.trim().replace(/```json\n?/g, '').replace(/```\n?/g, '');
+        parsed = JSON.parse(cleaned);
     } catch (error) {
-        console.error('Gemini API Error:', error.response?.data || error.message);
-        throw error;
+        return { features: null, problems: [`invalid JSON (${error.message})`] };
     }
-}
-
 
-// --- Configuration ---
-// Using v1 API model names
-const GEMINI_MODEL_EXTRACT = "gemini-2.5-flash"; 
-const GEMINI_MODEL_GUIDE = "gemini-2.5-flash"; // v1 might not have pro, using flash   
-const CHATGPT_MODEL_EXTRACT = "gpt-4o-mini";    
-const CHATGPT_MODEL_GUIDE = "gpt-4o";           
-
-
-// 1. Define the schema for a single Feature Object
-const featureObjectSchema = {
-    type: "object",
-    properties: {
-        featureName: { type: "string", description: "A concise, descriptive title for the product update or feature." },
-        featureSummary: { type: "string", description: "A 2-3 sentence technical summary of what the new feature does or how the update works." },
-        potentialUseCases: {
-            type: "array",
-            items: { type: "string" },
-            description: "List three distinct, real-world use cases that this feature could address."
-        }
-    },
-    required: ["featureName", "featureSummary", "potentialUseCases"]
-};
-
-// 2. Define the TOP-LEVEL schema for Gemini (array)
-const geminiExtractionSchema = {
-    type: "array",
-    items: featureObjectSchema
-};
-
-// 3. Define the TOP-LEVEL schema for OpenAI (object wrapper)
-const openaiExtractionSchema = {
-    type: "object",
-    properties: {
-        extractedFeatures: { // <-- Key to hold the array
-            type: "array",
-            description: "A list of all extracted technical features and their associated use cases.",
-            items: featureObjectSchema
-        }
-    },
-    required: ["extractedFeatures"]
-};
+    const features = Array.isArray(parsed) ? parsed : parsed && parsed.extractedFeatures;
+    const problems = validateAgainstSchema(features, geminiExtractionSchema, 'features');
+    return { features: problems.length === 0 ? features : null, problems };
+}
 
 
 // ------------------------------------------
 // Extraction Function Wrapper
 // ------------------------------------------
 
+// Returns { features, validation: { status: 'ok' | 'repaired' | 'failed', reason }, prompts }
+// where prompts holds the template versions used (see prompts.js).
+// Malformed output gets one repair pass before the extraction is marked as failed.
 async function extractFeatures(articleText, provider = 'gemini') {
-    const prompt = `
-        Analyze the following Red Hat news article. Your task is to extract all new product updates, technical features, or significant value-added stories.
-        If the article is primarily corporate news, opinion, or non-technical, return an empty array (or a wrapper object with an empty array).
-        Otherwise, for each significant technical update, provide a descriptive name, a technical summary, and three distinct, real-world use cases.
-        Return ONLY the JSON object that strictly adheres to the provided schema.
-
-        ARTICLE CONTENT:
-        ---
-        ${articleText}
-        ---
-    `;
+    const promptVersions = {};
 
     try {
-        let jsonText;
-        let finalResult = [];
+        const prompt = renderPrompt('extract', { articleText });
+        promptVersions.extract = prompt.version;
 
-        if (provider === 'openai') {
-            if (!OPENAI_KEY || OPENAI_KEY === "YOUR_API_KEY_HERE"){
-                console.error("OPENAI_API_KEY is not set. Cannot perform extraction with OpenAI.");
-                return finalResult = {msg: "OPENAI_API_KEY not set"};
-            }
-            const response = await openai.chat.completions.create({
-                model: CHATGPT_MODEL_EXTRACT,
-                messages: [{ role: "user", content: prompt }],
-                tools: [{
-                    type: "function",
-                    function: {
-                        name: "extract_features",
-                        description: "Extracts product features and use cases from a Red Hat announcement article.",
-                        parameters: openaiExtractionSchema,
-                    }
-                }],
-                tool_choice: { type: "function", function: { name: "extract_features" } },
-                temperature: 0.1,
-            });
-            
-            const callArguments = response.choices[0].message.tool_calls[0].function.arguments;
-            jsonText = callArguments; 
-            
-            const parsedObject = JSON.parse(jsonText);
-            finalResult = parsedObject.extractedFeatures || [];
-
-        } else { // 'gemini' - using v1 API directly
-            console.log(`[DEBUG] Calling Gemini v1 API with model: ${GEMINI_MODEL_EXTRACT}`);
-            console.log(`[DEBUG] API Key present: ${!!GEMINI_KEY}`);
-            
-            const enhancedPrompt = prompt + "\n\nIMPORTANT: Return ONLY valid JSON array format, no other text.";
-            
-            // Check if API key is set
-            if (!GEMINI_KEY || GEMINI_KEY === "YOUR_API_KEY_HERE"){
-                console.error("GEMINI_API_KEY is not set. Cannot perform extraction with Gemini.");
-                return [];
-            }
-            
-            jsonText = await callGeminiV1API(GEMINI_MODEL_EXTRACT, enhancedPrompt, {
-                generationConfig: { temperature: 0.1 }
-            });
-            
-            console.log(`[DEBUG] Response received. Length:`, jsonText?.length || 0);
-            
-            // Clean and parse JSON
-            jsonText = jsonText.trim().replace(/```json\n?/g, '').replace(/```\n?/g, '');
-            finalResult = JSON.parse(jsonText);
+        const aiProvider = getConfiguredProvider(provider);
+        console.log(`[DEBUG] Calling ${aiProvider.label} with model: ${aiProvider.models.extract}`);
+
+        const jsonText = await aiProvider.extract(prompt.text, { articleText });
+        console.log(`[DEBUG] Response received. Length:`, jsonText?.length || 0);
+
+        const first = parseExtractionResult(jsonText);
+        if (first.features) {
+            return { features: first.features, validation: { status: 'ok', reason: null }, prompts: promptVersions };
+        }
+
+        // --- Repair pass: show the model its output and what was wrong with it ---
+        const reason = first.problems.slice(0, 5).join('; ');
+        console.warn(`[${provider.toUpperCase()}] Extraction output failed validation (${reason}). Asking for a repair...`);
+
+        const repairPrompt = renderPrompt('extract-repair', { prompt: prompt.text, reason, previousAnswer: jsonText });
+        promptVersions.repair = repairPrompt.version;
+        const repaired = parseExtractionResult(await aiProvider.extract(repairPrompt.text, { articleText, repair: true }));
+        if (repaired.features) {
+            return { features: repaired.features, validation: { status: 'repaired', reason }, prompts: promptVersions };
         }
 
-        return finalResult;
+        const repairReason = repaired.problems.slice(0, 5).join('; ');
+        console.error(`[${provider.toUpperCase()}] Extraction repair failed: ${repairReason}`);
+        return { features: [], validation: { status: 'failed', reason: `${reason} (after repair: ${repairReason})` }, prompts: promptVersions };
 
     } catch (error) {
-        console.error(`[${provider.toUpperCase()}] API Extraction Error:`, error);
-        return [];
+        console.error(`[${provider.toUpperCase()}] API Extraction Error: ${error.message}`);
+        return { features: [], validation: { status: 'failed', reason: error.message }, prompts: promptVersions };
+    }
+}
+
+
+// Combine per-chunk results: features with the same name are merged and their use cases de-duplicated
+function mergeFeatures(featureLists) {
+    const merged = new Map();
+    for (const feature of featureLists.flat()) {
+        const key = feature.featureName.trim().toLowerCase();
+        const existing = merged.get(key);
+        if (existing) {
+            existing.potentialUseCases = Array.from(new Set([...existing.potentialUseCases, ...feature.potentialUseCases]));
+        } else {
+            merged.set(key, { ...feature, potentialUseCases: [...feature.potentialUseCases] });
+        }
     }
+    return Array.from(merged.values());
+}
+
+// Every chunk renders the same templates; the repair template is listed if any chunk needed it
+function mergePromptVersions(results) {
+    return Object.assign({}, ...results.map(r => r.prompts));
+}
+
+// Extract features from a whole article. Text longer than the provider's
+// maxInputChars is split into chunks that are extracted one after another
+// and merged. If any chunk fails, the article as a whole is marked as failed.
+async function extractArticleFeatures(articleText, provider = 'gemini') {
+    const aiProvider = providers.getProvider(provider);
+    const maxChars = (aiProvider && aiProvider.maxInputChars) || DEFAULT_MAX_INPUT_CHARS;
+    const chunks = chunkText(articleText || '', maxChars);
+    if (chunks.length <= 1) {
+        return extractFeatures(articleText, provider);
+    }
+
+    console.log(`[${provider.toUpperCase()}] Article is ${articleText.length} chars, extracting in ${chunks.length} chunks...`);
+    const results = [];
+    for (const chunk of chunks) {
+        results.push(await extractFeatures(chunk, provider));
+    }
+
+    const failedIndex = results.findIndex(r => r.validation.status === 'failed');
+    if (failedIndex >= 0) {
+        return { features: [], validation: { status: 'failed', reason: `chunk ${failedIndex + 1}/${chunks.length}: ${results[failedIndex].validation.reason}` }, prompts: mergePromptVersions(results) };
+    }
+
+    const repaired = results.map((r, i) => r.validation.status === 'repaired' ? `chunk ${i + 1}/${chunks.length}: ${r.validation.reason}` : null).filter(Boolean);
+    return {
+        features: mergeFeatures(results.map(r => r.features)),
+        validation: repaired.length > 0 ? { status: 'repaired', reason: repaired.join('; ') } : { status: 'ok', reason: null },
+        prompts: mergePromptVersions(results),
+        chunks: chunks.length
+    };
 }
 
 
@@ -193,54 +162,57 @@ async function saveBase64Image(base64Data) {
     });
 }
 
-// Helper to generate infographic HTML visualization
-async function generateInfographicHTML(feature, useCase, provider) {
+// Strip markdown fences, unwrap a JSON string if the model double-encoded it and
+// check the data against infographicSchema (see infographic.js).
+// Returns { data, problems }; data is null when the output is unusable.
+function parseInfographicResult(jsonText) {
+    if (typeof jsonText !== 'string' || jsonText.trim() === '') {
+        return { data: null, problems: ['the model returned an empty response'] };
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(jsonText.trim().replace(/```json\n?/g, '').replace(/```\n?/g, ''));
+        if (typeof parsed === 'string') parsed = JSON.parse(parsed);
+    } catch (error) {
+        return { data: null, problems: [`invalid JSON (${error.message})`] };
+    }
+
+    return checkInfographic(parsed);
+}
+
+// Generate the structured infographic data; resolves to { data, prompts } or null.
+// Like extraction, output that fails the schema gets one repair pass.
+async function generateInfographicData(feature, useCase, provider, industry) {
     try {
-        console.log("Generating business value infographic...");
-        const prompt = `Create an HTML/CSS infographic visualization that shows the business value of "${feature.featureName}" for the use case: "${useCase}".
-
-The infographic should be a complete HTML snippet (div with inline styles) that:
-- Visualizes the transformation or business impact in a clear, professional way
-- Uses a modern, corporate design with Red Hat colors (red: #cc0000, blue: #0066cc, gray: #777)
-- Shows before/after comparison OR a flow diagram OR key metrics
-- Is visually striking and easy for salespeople to understand at a glance
-- Uses flexbox or grid for layout, boxes/cards for content
-- Includes icons represented by unicode symbols or colored boxes
-- Should be 100% width, max 600px height
-- IMPORTANT: Use box-sizing: border-box and max-width: 100% on all elements to prevent overflow
-- Use padding and margins in percentages or relative units (em, rem) not fixed pixels
-- Ensure all text is responsive and wraps properly
-- Set overflow: hidden or overflow: auto on container elements
-
-Return ONLY the HTML div with inline styles, no explanations.`;
-        
-        let response = null;
-        
-        // Use provider parameter to determine which AI to use
-        if (provider === 'openai') {
-            console.log("Generating infographic using OpenAI...");
-            response = await openai.chat.completions.create({
-                model: CHATGPT_MODEL_GUIDE,
-                messages: [{ role: "user", content: prompt }],
-                temperature: 0.7,
-            }).then(res => res.choices[0].message.content);
-        } else { // gemini - use v1 API
-            console.log("Generating infographic using Gemini v1 API...");
-            response = await callGeminiV1API(GEMINI_MODEL_GUIDE, prompt, {
-                generationConfig: { temperature: 0.7 }
-            });
+        const prompt = renderPrompt('infographic', { feature, useCase, industry });
+        const prompts = { infographic: prompt.version };
+        const context = { feature, useCase, industry: industry.name };
+
+        const aiProvider = getConfiguredProvider(provider);
+        console.log(`Generating infographic using ${aiProvider.label}...`);
+        const jsonText = await aiProvider.generateInfographic(prompt.text, context);
+
+        const first = parseInfographicResult(jsonText);
+        if (first.data) {
+            return { data: first.data, prompts };
         }
-        
-        if (!response) {
-            console.error("No response received from infographic generation.");
-            return null;
+
+        const reason = first.problems.slice(0, 5).join('; ');
+        console.warn(`[${provider.toUpperCase()}] Infographic output failed validation (${reason}). Asking for a repair...`);
+        const repairPrompt = renderPrompt('infographic-repair', { prompt: prompt.text, reason, previousAnswer: jsonText });
+        prompts.infographicRepair = repairPrompt.version;
+        const repaired = parseInfographicResult(await aiProvider.generateInfographic(repairPrompt.text, { ...context, repair: true }));
+        if (repaired.data) {
+            return { data: repaired.data, prompts };
         }
-        
-        let htmlInfographic = response.replace(/```(html)?/g, '').trim();
-        return htmlInfographic;
+
+        // The guide is still useful without it
+        console.error(`[${provider.toUpperCase()}] Infographic repair failed: ${repaired.problems.slice(0, 5).join('; ')}`);
+        return null;
 
     } catch (error) {
-        console.error("Infographic Generation Error:", error);
+        console.error(`Infographic Generation Error: ${error.message}`);
         return null;
     }
 }
@@ -249,43 +221,18 @@ Return ONLY the HTML div with inline styles, no explanations.`;
 // Guide Generation Wrapper
 // ------------------------------------------
 
-async function generateGuide(feature, useCase, provider = 'gemini', industry = 'General Tech') {
-    
-    const guidePrompt = `
-        You are a technical writer. Write a comprehensive, step-by-step technical guide for a **technical user**.
-        The guide must focus on the new Red Hat feature: **${feature.featureName}** (Summary: ${feature.featureSummary}).
-        
-        The entire guide must be contextualized around the following real-world scenario/use case: **${useCase}**.
-
-        The guide must be returned as a complete HTML snippet (excluding <html>, <head>, and <body> tags, but including <h2>, <p>, <h3>, <ul>, and <code> tags).
-        
-        ***CRITICAL CONTEXT: The guide must be written specifically for a company operating within the ${industry} industry. Use relevant terminology, compliance considerations (if applicable), and examples typical of that industry.***
-        
-        The guide must be returned as a complete HTML snippet (excluding <html>, <head>, and <body> tags, but including <h1>, <p>, <h2>, <ul>, and <code> tags).
-        It should be professional, instructive, and include:
-        1. An introduction relating the feature to the use case in the context of the ${industry} industry.
-        2. Prerequisites (e.g., 'RHEL 9', 'OpenShift Cluster access', necessary toolchains, etc.).
-        3. A section of at least 3 actionable, technical steps/commands with brief explanations.
-        4. A conclusion on the value proposition for an ${industry} business.
-    `;
+// industry and persona may be profile objects or ids/names (see profiles.js)
+async function generateGuide(feature, useCase, provider = 'gemini', industry = 'general-tech', persona = 'sysadmin') {
+    industry = typeof industry === 'string' ? profiles.resolveIndustry(industry) : industry;
+    persona = typeof persona === 'string' ? profiles.resolvePersona(persona) : persona;
 
     try {
-        // Start infographic HTML generation in parallel with text generation
-        const infographicPromise = generateInfographicHTML(feature, useCase, provider);
+        const guidePrompt = renderPrompt('guide', { feature, useCase, industry, persona });
+
+        // Start infographic generation in parallel with text generation
+        const infographicPromise = generateInfographicData(feature, useCase, provider, industry);
         
-        let textPromise;
-        if (provider === 'openai') {
-            textPromise = openai.chat.completions.create({
-                model: CHATGPT_MODEL_GUIDE,
-                messages: [{ role: "user", content: guidePrompt }],
-                temperature: 0.7,
-            }).then(res => res.choices[0].message.content);
-
-        } else { // 'gemini' - using v1 API
-            textPromise = callGeminiV1API(GEMINI_MODEL_GUIDE, guidePrompt, {
-                generationConfig: { temperature: 0.7 }
-            });
-        }
+        const textPromise = getConfiguredProvider(provider).generateGuide(guidePrompt.text, { feature, useCase, industry: industry.name, persona: persona.name });
 
         const [infographicResult, textResult] = await Promise.all([infographicPromise, textPromise]);
 
@@ -303,20 +250,30 @@ async function generateGuide(feature, useCase, provider = 'gemini', industry = '
         html = html.replace(/(<br\s*\/?>\s*){3,}/gi, '<br><br>');
         html = html.replace(/<div[^>]*>\s*<\/div>/gi, '');
         html = html.replace(/<section[^>]*>\s*<\/section>/gi, '');
-        html = html.trim();
+
+        // The guide is rendered unescaped, so run it through the allow-list sanitizer.
+        // The infographic is plain data; views/partials/infographic.hbs escapes it.
+        html = sanitizeGuideHtml(html).trim();
 
         return {
-            infographicHtml: infographicResult,
-            html: html
+            infographic: infographicResult ? infographicResult.data : null,
+            html: html,
+            // Template versions the artifact was generated from
+            prompts: infographicResult
+                ? { guide: guidePrompt.version, ...infographicResult.prompts }
+                : { guide: guidePrompt.version }
         };
 
     } catch (error) {
-        console.error(`[${provider.toUpperCase()}] API Guide Generation Error:`, error);
+        console.error(`[${provider.toUpperCase()}] API Guide Generation Error: ${error.message}`);
+        // Say what went wrong (e.g. "gemini guide call failed after 4 attempts: HTTP 429"), sanitized like any other output
         return {
-            infographicHtml: null,
-            html: "<h3>Error Generating Guide</h3><p>Could not generate the technical guide using the selected AI provider.</p>"
+            infographic: null,
+            html: sanitizeGuideHtml(`<h3>Error Generating Guide</h3><p>Could not generate the technical guide using the selected AI provider.</p><p>${error.message}</p>`),
+            error: error.message,
+            failed: true // Callers should not cache this placeholder
         };
     }
 }
 
-module.exports = { extractFeatures, generateGuide };
\ No newline at end of file
+module.exports = { extractFeatures, extractArticleFeatures, generateGuide };
\ No newline at end of file
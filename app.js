@@ -3,25 +3,38 @@
 // 1. Load environment variables from .env file FIRST
 require('dotenv').config(); 
 
+// 2. Validate the settings before any module reads them (config.js)
+const { config, errors: configErrors, summary: configSummary } = require('./config');
+if (configErrors.length > 0) {
+    configErrors.forEach(message => console.error(`[Config] ${message}`));
+    console.error('[Config] Fix the settings above in the environment or .env file and start again.');
+    process.exit(1);
+}
+
 const express = require('express');
 const hbs = require('hbs');
-const RSSParser = require('rss-parser');
-const { extractFeatures, generateGuide } = require('./aiService'); 
+const providers = require('./providers');
+const store = require('./store');
+const ingestion = require('./ingestion');
+const { sanitizeGuideHtml } = require('./sanitize');
+const feeds = require('./feeds');
+const profiles = require('./profiles');
+const { extractionFailed, displayedArticles, guidePath, shownGuideVersion, resolveGuideTarget, generateGuideVersion, getOrGenerateGuide } = require('./guideService');
+const apiRouter = require('./routes/api');
+const compareRouter = require('./routes/compare');
+const healthRouter = require('./routes/health');
+const exporter = require('./exporter');
+const infographic = require('./infographic');
+const usage = require('./usage');
+const search = require('./search');
+const digest = require('./digest');
+const llmCall = require('./providers/llmCall');
 
 // --- Initialization ---
 const app = express();
-const port = 8080;
-const rssParser = new RSSParser();
+const port = config.port;
 
-// Use the main blog RSS feed
-const REDHAT_RSS_URL = 'https://www.redhat.com/en/rss/blog'; 
-
-// ----------------------------------------------------
-// 🔥 IN-MEMORY CACHE FOR ARTICLES AND FEATURES
-// This global variable will store the extracted data.
-// Structure: Array of { title, pubDate, link, features }
-let extractedArticlesCache = []; 
-// ----------------------------------------------------
+// Extracted articles and features are kept in the persistent store (store.js)
 
 // --- Configure Express and HBS ---
 app.set('view engine', 'hbs');
@@ -42,111 +55,253 @@ hbs.registerHelper('if_eq', function(a, b, opts) {
 function getProvider(req) {
     // Note: We'll use the provider from the query/cache, but this function
     // still determines the provider for the initial extraction run.
-    const provider = req.query.provider && req.query.provider.toLowerCase() === 'openai' ? 'openai' : 'gemini';
-    return provider;
+    // Unknown or missing names fall back to AI_PROVIDER (default: gemini).
+    return providers.resolveProviderName(req.query.provider);
+}
+
+// Build the list of registered providers for the provider switch in index.hbs
+function providerOptions(currentProvider) {
+    return providers.listProviders().map(p => ({
+        name: p.name,
+        label: p.label,
+        configured: p.isConfigured(),
+        active: p.name === currentProvider
+    }));
 }
 
 
 // --- Routes ---
 
-app.get('/', async (req, res) => {
+// Liveness, readiness and Prometheus metrics (routes/health.js)
+app.use('/', healthRouter);
+
+// Versioned JSON API (routes/api.js)
+app.use('/api/v1', apiRouter);
+
+// Provider comparison pages (routes/compare.js)
+app.use('/compare', compareRouter);
+
+// Attach guide paths to the articles for index.hbs without touching the stored objects
+function toAnnouncementView(article) {
+    return {
+        ...article,
+        sourceLabels: (article.sources || []).map(id => (feeds.getFeed(id) || { label: id }).label),
+        articleId: store.articleId(article),
+        extractionFailed: extractionFailed(article),
+        extractionRepaired: !!article.validation && article.validation.status === 'repaired',
+        features: article.features.map(feature => ({
+            ...feature,
+            useCases: (feature.potentialUseCases || []).map(useCase => ({
+                text: useCase,
+                guidePath: guidePath(article, feature, useCase)
+            }))
+        }))
+    };
+}
+
+app.get('/', (req, res) => {
     // Determine provider for this extraction run
     const provider = getProvider(req);
     
-    // --- Only refetch and re-extract if the cache is empty ---
-    if (extractedArticlesCache.length === 0 || req.query.refresh === 'true') {
-        try {
-            console.log(`[Cache Miss] Fetching RSS feed and running ${provider.toUpperCase()} extraction...`);
-            const feed = await rssParser.parseURL(REDHAT_RSS_URL);
-            
-            // Clear the old cache (if we are refreshing) and populate the new one
-            extractedArticlesCache = []; 
-            
-            // Process the first 10 articles
-            for (const item of feed.items.slice(0, 15)) {
-                const articleContent = item.content || item.contentSnippet;
-                
-                // --- Feature Extraction ---
-                const extractedFeatures = await extractFeatures(articleContent, provider);
-
-                if (extractedFeatures.length > 0) {
-                    extractedArticlesCache.push({
-                        title: item.title,
-                        pubDate: item.pubDate,
-                        link: item.link,
-                        // Store the features AND the provider used for extraction
-                        features: extractedFeatures,
-                        extractionProvider: provider 
-                    });
-                }
-            }
-            console.log(`[Cache Hit] Stored ${extractedArticlesCache.length} articles.`);
-
-        } catch (error) {
-            console.error('Error fetching/parsing RSS feed:', error);
-            return res.status(500).send('Error fetching announcements.');
-        }
+    // --- Only refetch the feed if the store is empty or a refresh is requested ---
+    // Ingestion runs in the background; the page renders whatever is stored right away
+    // and index.hbs follows the job's progress over /ingest/events.
+    let ingestionJob = ingestion.getCurrentJob();
+    if (store.listArticles().length === 0 || req.query.refresh === 'true') {
+        console.log(`[Cache Miss] Starting background ingestion using ${provider.toUpperCase()}...`);
+        ingestionJob = ingestion.startIngestion(provider);
     } else {
-        console.log(`[Cache Hit] Serving ${extractedArticlesCache.length} articles from memory.`);
+        console.log(`[Cache Hit] Serving ${store.listArticles().length} articles from the store.`);
     }
 
+    // ?q=, ?source=, ?from= and ?to= search and filter the stored articles (see search.js)
+    const filters = search.parseFilters(req.query);
+    const source = filters.source;
+    const announcements = search.searchArticles(displayedArticles(), filters).map(toAnnouncementView);
+    const searchActive = search.isFiltered(filters);
+    const featureCount = announcements.reduce((count, article) => count + article.features.length, 0);
+
     res.render('index', { 
         title: `Red Hat Announcement Analyzer (Provider: ${provider.toUpperCase()})`,
-        announcements: extractedArticlesCache, // Use the cached data
+        announcements: announcements,
+        currentSource: source,
+        sources: feeds.listFeeds().map(feed => ({
+            id: feed.id,
+            label: feed.label,
+            active: feed.id === source,
+            query: search.filterQuery({ ...filters, source: feed.id }, { provider })
+        })),
+        allSourcesQuery: search.filterQuery({ ...filters, source: null }, { provider }),
+        // Keeps the search and filters on provider links and after ingestion reloads the page
+        filterQuery: search.filterQuery(filters),
+        search: filters,
+        searchActive: searchActive,
+        resultSummary: `${announcements.length} article${announcements.length === 1 ? '' : 's'} and ${featureCount} feature${featureCount === 1 ? '' : 's'} match.`,
         currentProvider: provider,
-        otherProvider: provider === 'gemini' ? 'openai' : 'gemini'
+        providers: providerOptions(provider),
+        industries: profiles.listIndustries(),
+        personas: profiles.listPersonas(),
+        ingestionRunning: !!ingestionJob && ingestionJob.status === 'running',
+        ingestionMessage: ingestionJob && ingestionJob.message
     });
 });
 
 
-// Route to generate and display the specific guide
-app.get('/guide/:articleIndex/:featureIndex/:useCaseIndex', async (req, res) => {
-    
-    // 1. Validate the cache exists
-    if (extractedArticlesCache.length === 0) {
-        return res.status(503).send('Cache empty. Please visit the homepage first to load data.');
+// Server-Sent Events stream of the background ingestion job's progress
+app.get('/ingest/events', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (eventName, state) => {
+        res.write(`event: ${eventName}\ndata: ${JSON.stringify(state)}\n\n`);
+    };
+
+    // Send the current state first so late subscribers are not left waiting
+    const job = ingestion.getCurrentJob();
+    if (!job || job.status !== 'running') {
+        send('done', job);
+        return res.end();
     }
+    send('progress', job);
 
-    // 2. Retrieve data from the in-memory cache
-    const articleIndex = parseInt(req.params.articleIndex, 10);
-    const featureIndex = parseInt(req.params.featureIndex, 10);
-    const useCaseIndex = parseInt(req.params.useCaseIndex, 10);
+    const onProgress = state => send('progress', state);
+    const onDone = state => {
+        send('done', state);
+        res.end();
+    };
+    ingestion.events.on('progress', onProgress);
+    ingestion.events.on('done', onDone);
 
-    const article = extractedArticlesCache[articleIndex];
-    
-    if (!article || !article.features || article.features.length <= featureIndex) {
-        return res.status(404).send('Feature or Article not found in cache.');
+    req.on('close', () => {
+        ingestion.events.off('progress', onProgress);
+        ingestion.events.off('done', onDone);
+    });
+});
+
+
+// Legacy index-based guide URLs: redirect to the stable URL if the positions still resolve.
+// Temporary redirect, since the same positions point elsewhere after the next refresh.
+app.get('/guide/:articleIndex(\\d+)/:featureIndex(\\d+)/:useCaseIndex(\\d+)', (req, res) => {
+    const article = displayedArticles()[parseInt(req.params.articleIndex, 10)];
+    const feature = article && article.features[parseInt(req.params.featureIndex, 10)];
+    const useCase = feature && (feature.potentialUseCases || [])[parseInt(req.params.useCaseIndex, 10)];
+
+    if (!useCase) {
+        return res.status(404).send('Guide not found. Old guide links cannot be resolved once the announcements change; please pick the use case again from the homepage.');
     }
 
-    const feature = article.features[featureIndex];
-    
-    if (!feature.potentialUseCases || feature.potentialUseCases.length <= useCaseIndex) {
-        return res.status(404).send('Use Case not found in cache.');
+    const queryIndex = req.originalUrl.indexOf('?');
+    const query = queryIndex >= 0 ? req.originalUrl.substring(queryIndex) : '';
+    res.redirect(302, guidePath(article, feature, useCase) + query);
+});
+
+// Resolve a stable guide URL against the store; sends the error response and returns null if it cannot
+function resolveGuideRequest(req, res) {
+    const target = resolveGuideTarget(req.params, {
+        industry: req.query.industry,
+        persona: req.query.persona,
+        // The provider picked with the switch on the index page (?provider=) writes the guide;
+        // without one, the provider that extracted the features does
+        provider: req.query.provider ? getProvider(req) : undefined,
+        fallbackProvider: getProvider(req)
+    });
+    if (target.error) {
+        res.status(target.error.status).send(target.error.message);
+        return null;
     }
+    return target;
+}
 
-    const useCase = feature.potentialUseCases[useCaseIndex];
+// Query string that keeps the industry/persona/provider selection on version links and actions
+function guideQuery(req) {
+    const params = new URLSearchParams();
+    if (req.query.industry) params.set('industry', req.query.industry);
+    if (req.query.persona) params.set('persona', req.query.persona);
+    if (req.query.provider) params.set('provider', req.query.provider);
+    return params.toString();
+}
 
-    const industry = req.query.industry || 'General Tech';
-    
-    // Use the provider that was originally used to extract the features
-    const generationProvider = article.extractionProvider || getProvider(req);
+// Side-by-side page for this guide, starting from the provider shown here (routes/compare.js)
+function comparePath({ article, feature, useCase, provider }, req) {
+    const params = new URLSearchParams({ a: provider });
+    if (req.query.industry) params.set('industry', req.query.industry);
+    if (req.query.persona) params.set('persona', req.query.persona);
+    return `/compare/${store.articleId(article)}/guide/${store.featureId(feature)}/${store.useCaseId(useCase)}?${params}`;
+}
+
+// Route to display the specific guide, generating it on the first visit only
+app.get('/guide/:articleId/:featureId/:useCaseId', async (req, res) => {
+    const target = resolveGuideRequest(req, res);
+    if (!target) return;
+
+    const { article, feature, useCase, industry, persona, provider } = target;
+    const basePath = guidePath(article, feature, useCase);
     
     try {
-        console.log(`Generating Guide for Industry: ${industry} using ${generationProvider.toUpperCase()}...`);
-        
-        // --- Guide Generation (Pass the industry to the generation function) ---
-        const guideHtml = await generateGuide(feature, useCase, generationProvider, industry); // <--- Pass industry here
+        let guide = store.getGuide(target.key);
+        let result = null;
+        if (guide) {
+            console.log(`[Cache Hit] Serving stored guide for ${feature.featureName} (${industry.name}, ${persona.name}, ${provider.toUpperCase()})`);
+        } else {
+            // Shared with any other request generating the same guide right now
+            ({ guide, result } = await getOrGenerateGuide(target));
+        }
 
+        // Generation failed: show the error block, but do not store it
+        if (!guide) {
+            return res.status(502).render('guide', {
+                title: `Guide: ${feature.featureName} [${provider.toUpperCase()}]`,
+                articleTitle: article.title,
+                articleLink: article.link,
+                featureName: feature.featureName,
+                useCase: useCase,
+                guideHtml: result.html,
+                currentProvider: provider,
+                targetIndustry: industry.name,
+                targetPersona: persona.name,
+                guidePath: basePath,
+                guideQuery: guideQuery(req)
+            });
+        }
+
+        // ?version=N shows an earlier version for comparison
+        const shown = shownGuideVersion(guide, req.query.version);
+        if (!shown) {
+            return res.status(404).send('Guide version not found.');
+        }
+
+        const shownInfographic = infographic.infographicView(shown);
         res.render('guide', {
-            title: `Guide: ${feature.featureName} [${generationProvider.toUpperCase()}]`,
+            title: `Guide: ${feature.featureName} [${provider.toUpperCase()}]`,
             articleTitle: article.title,
+            articleLink: article.link,
             featureName: feature.featureName,
             useCase: useCase,
-            guideHtml: guideHtml.html,
-            currentProvider: generationProvider,
-            infographicHtml: guideHtml.infographicHtml,
-            targetIndustry: industry // Pass to HBS for display if needed
-
+            // Sanitized again on the way out, for versions stored before the sanitizer existed
+            guideHtml: sanitizeGuideHtml(shown.html),
+            currentProvider: provider,
+            infographicHtml: shownInfographic.html,
+            // Only structured infographics can be edited (infographic.js)
+            infographicForm: shownInfographic.data ? infographic.formView(shownInfographic.data) : null,
+            infographicEdited: shownInfographic.edited,
+            targetIndustry: industry.name, // Pass to HBS for display if needed
+            targetPersona: persona.name,
+            guidePath: basePath,
+            guideQuery: guideQuery(req),
+            comparePath: comparePath(target, req),
+            shownVersion: shown,
+            shownPrompts: Object.values(shown.prompts || {}).join(', '),
+            isActiveVersion: shown.version === guide.activeVersion,
+            versions: guide.versions.map(v => ({
+                version: v.version,
+                generatedAt: v.generatedAt,
+                active: v.version === guide.activeVersion,
+                shown: v.version === shown.version
+            }))
         });
 
     } catch (error) {
@@ -155,15 +310,202 @@ app.get('/guide/:articleIndex/:featureIndex/:useCaseIndex', async (req, res) =>
     }
 });
 
+// Generate a new version of the guide, keeping the earlier ones
+app.post('/guide/:articleId/:featureId/:useCaseId/regenerate', async (req, res) => {
+    const target = resolveGuideRequest(req, res);
+    if (!target) return;
+
+    try {
+        const { guide } = await generateGuideVersion(target);
+        if (!guide) {
+            return res.status(502).send('Error regenerating the guide. Earlier versions are unchanged.');
+        }
+
+        const query = guideQuery(req);
+        res.redirect(303, guidePath(target.article, target.feature, target.useCase) + (query ? `?${query}` : ''));
+
+    } catch (error) {
+        console.error('Error regenerating guide:', error);
+        res.status(500).send('Error regenerating the guide.');
+    }
+});
+
+// Go back to an earlier version by making it the one served by default
+app.post('/guide/:articleId/:featureId/:useCaseId/versions/:version/activate', async (req, res) => {
+    const target = resolveGuideRequest(req, res);
+    if (!target) return;
+
+    try {
+        const guide = store.setActiveGuideVersion(target.key, parseInt(req.params.version, 10));
+        if (!guide) {
+            return res.status(404).send('Guide version not found.');
+        }
+        await store.save();
+
+        const query = guideQuery(req);
+        res.redirect(303, guidePath(target.article, target.feature, target.useCase) + (query ? `?${query}` : ''));
+
+    } catch (error) {
+        console.error('Error activating guide version:', error);
+        res.status(500).send('Error activating the guide version.');
+    }
+});
+
+// The stored version picked with ?version= (default: the active one), for the infographic edit routes;
+// sends the error response and returns null if it cannot be found
+function findShownVersion(req, res, target) {
+    const guide = store.getGuide(target.key);
+    const shown = guide && shownGuideVersion(guide, req.query.version);
+    if (!shown) {
+        res.status(404).send('Guide version not found.');
+        return null;
+    }
+    return shown;
+}
+
+function redirectToVersion(req, res, target, version) {
+    const query = guideQuery(req);
+    res.redirect(303, `${guidePath(target.article, target.feature, target.useCase)}?${query ? `${query}&` : ''}version=${version}`);
+}
+
+// Save the values edited in the infographic form on the guide page
+app.post('/guide/:articleId/:featureId/:useCaseId/infographic', express.urlencoded({ extended: false }), async (req, res) => {
+    const target = resolveGuideRequest(req, res);
+    if (!target) return;
+    const shown = findShownVersion(req, res, target);
+    if (!shown) return;
+    if (!shown.infographic) {
+        return res.status(409).send('This guide version has no structured infographic to edit. Regenerate the guide first.');
+    }
+
+    const { data, problems } = infographic.parseEdits(req.body);
+    if (!data) {
+        return res.status(400).send(`The infographic was not saved: ${problems.slice(0, 5).join('; ')}. Go back to correct it.`);
+    }
+    try {
+        store.setGuideInfographicEdits(target.key, shown.version, data);
+        await store.save();
+        redirectToVersion(req, res, target, shown.version);
+    } catch (error) {
+        console.error('Error saving infographic edits:', error);
+        res.status(500).send('Error saving the infographic.');
+    }
+});
+
+// Drop the edits and show the generated infographic again
+app.post('/guide/:articleId/:featureId/:useCaseId/infographic/reset', async (req, res) => {
+    const target = resolveGuideRequest(req, res);
+    if (!target) return;
+    const shown = findShownVersion(req, res, target);
+    if (!shown) return;
+
+    try {
+        store.setGuideInfographicEdits(target.key, shown.version, null);
+        await store.save();
+        redirectToVersion(req, res, target, shown.version);
+    } catch (error) {
+        console.error('Error resetting infographic edits:', error);
+        res.status(500).send('Error resetting the infographic.');
+    }
+});
+
+
+// Download the stored guide as Markdown, a standalone HTML file or a PDF (?version= as on the guide page)
+app.get('/guide/:articleId/:featureId/:useCaseId/export.:format(md|html|pdf)', async (req, res) => {
+    const target = resolveGuideRequest(req, res);
+    if (!target) return;
+
+    const guide = store.getGuide(target.key);
+    if (!guide) {
+        return res.status(404).send('This guide has not been generated yet. Open the guide page first.');
+    }
+
+    const shown = shownGuideVersion(guide, req.query.version);
+    if (!shown) {
+        return res.status(404).send('Guide version not found.');
+    }
+
+    const shownInfographic = infographic.infographicView(shown);
+    const doc = {
+        featureName: target.feature.featureName,
+        useCase: target.useCase,
+        industry: target.industry.name,
+        persona: target.persona.name,
+        articleTitle: target.article.title,
+        articleLink: target.article.link,
+        provider: target.provider,
+        model: shown.model,
+        version: shown.version,
+        generatedAt: shown.generatedAt,
+        html: sanitizeGuideHtml(shown.html),
+        // Exports include the user's edits to the infographic
+        infographic: shownInfographic.data,
+        infographicHtml: shownInfographic.html
+    };
+
+    try {
+        const format = req.params.format;
+        res.attachment(exporter.exportFileName(doc, format));
+
+        if (format === 'md') {
+            res.type('text/markdown').send(exporter.toMarkdown(doc));
+        } else if (format === 'pdf') {
+            res.type('application/pdf').send(await exporter.toPdf(doc));
+        } else {
+            // Self-contained: styles are inlined in export.hbs and the infographic partial carries its own
+            res.render('export', { ...doc, layout: false });
+        }
+
+    } catch (error) {
+        console.error('Error exporting guide:', error);
+        res.status(500).send('Error exporting the guide.');
+    }
+});
+
+// Feeds of newly extracted features, one entry per feature (digest.js)
+app.get('/digest.atom', (req, res) => {
+    res.type('application/atom+xml').send(digest.toAtom());
+});
+
+app.get('/digest.rss', (req, res) => {
+    res.type('application/rss+xml').send(digest.toRss());
+});
+
+// Admin page: LLM usage and estimated cost per day and provider, recent calls and call limits
+app.get('/admin/usage', (req, res) => {
+    const money = value => (value == null ? 'n/a' : `${value.toFixed(4)} ${usage.currency}`);
+    res.render('usage', {
+        title: 'LLM Usage and Cost',
+        days: usage.dailyTotals().map(day => ({
+            day: day.day,
+            providers: day.providers.map(row => ({ ...row, costText: money(row.cost) })),
+            total: { ...day.total, costText: money(day.total.cost) }
+        })),
+        recentCalls: usage.listRecentCalls().map(call => ({ ...call, costText: money(call.cost) })),
+        concurrency: llmCall.concurrencyState(),
+        limits: llmCall.callSettings()
+    });
+});
+
 
 // --- Start Server ---
-const HOST = process.env.IP_ADDRESS || '127.0.0.1'; // Use IP_ADDRESS if set, otherwise default to localhost
+const HOST = config.host; // IP_ADDRESS if set, otherwise localhost
 const BIND_MESSAGE = HOST === '127.0.0.1' 
     ? `(Localhost only. To allow external access, set the IP_ADDRESS environment variable.)`
     : `(Listening on ${HOST}, accessible externally.)`;
 
-app.listen(port, HOST, () => {
-    console.log(`Server running at http://${HOST}:${port}`);
-    console.log(`AI Keys loaded successfully from .env`);
-    console.log(`Binding Information: ${BIND_MESSAGE}`);
-});
+// Only listen when started directly; the tests in test/ require the app and listen on a free port
+if (require.main === module) {
+    store.load().then(() => {
+        app.listen(port, HOST, () => {
+            console.log(`Server running at http://${HOST}:${port}`);
+            console.log(`Binding Information: ${BIND_MESSAGE}`);
+            // Secrets are only reported as "(set)"
+            console.log(`[Config] Settings from the environment: ${configSummary().join(', ') || '(all defaults)'}`);
+            const ready = providers.listReadyProviders().map(p => p.name);
+            console.log(`[Config] AI providers configured: ${ready.join(', ') || 'none, /readyz will fail'}; default: ${providers.defaultProviderName()}`);
+        });
+    });
+}
+
+module.exports = app;
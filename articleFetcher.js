@@ -0,0 +1,116 @@
+// articleFetcher.js
+
+const axios = require('axios');
+const { Parser } = require('htmlparser2');
+const { config } = require('./config');
+
+// ----------------------------------------------------
+// 📄 FULL ARTICLE TEXT
+// RSS items often carry only a teaser, so the linked page is downloaded and
+// reduced to its main text before extraction. Navigation, headers, footers,
+// scripts and similar page chrome are left out.
+// ----------------------------------------------------
+const FETCH_FULL_ARTICLES = config.fetchFullArticles;
+const FETCH_TIMEOUT_MS = config.articleFetchTimeoutMs;
+const MAX_ARTICLE_CHARS = 200000;
+
+// Elements whose content is never article text
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'nav', 'header', 'footer', 'aside', 'form', 'button', 'select']);
+const SKIPPED_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'search', 'dialog']);
+
+// Elements that start a new line of text
+const BLOCK_TAGS = new Set(['p', 'div', 'section', 'article', 'main', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'br', 'tr', 'pre', 'blockquote', 'dd', 'dt', 'figcaption']);
+
+function normalizeText(text) {
+    return text.split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n\n');
+}
+
+// Pull the readable text out of a page, preferring <article>, then <main>, then the whole body
+function extractMainText(html) {
+    const buffers = { article: '', main: '', body: '' };
+    const stack = [];
+    let skipDepth = 0;
+
+    const parser = new Parser({
+        onopentag(name, attributes) {
+            const skipped = SKIPPED_TAGS.has(name) || SKIPPED_ROLES.has(attributes.role) || attributes['aria-hidden'] === 'true';
+            stack.push({ name, skipped });
+            if (skipped) skipDepth++;
+            if (BLOCK_TAGS.has(name) && skipDepth === 0) append('\n');
+        },
+        ontext(text) {
+            if (skipDepth === 0) append(text);
+        },
+        onclosetag(name) {
+            // Pop back to the matching tag; htmlparser2 closes unclosed children implicitly
+            while (stack.length > 0) {
+                const entry = stack.pop();
+                if (entry.skipped) skipDepth--;
+                if (entry.name === name) break;
+            }
+            if (BLOCK_TAGS.has(name) && skipDepth === 0) append('\n');
+        }
+    }, { decodeEntities: true });
+
+    function append(text) {
+        buffers.body += text;
+        if (stack.some(entry => entry.name === 'main')) buffers.main += text;
+        if (stack.some(entry => entry.name === 'article')) buffers.article += text;
+    }
+
+    parser.write(html);
+    parser.end();
+
+    const article = normalizeText(buffers.article);
+    const main = normalizeText(buffers.main);
+    const text = article.length > 200 ? article : (main.length > 200 ? main : normalizeText(buffers.body));
+    return text.substring(0, MAX_ARTICLE_CHARS);
+}
+
+// Download the linked page and return its main text, or null if it cannot be used
+async function fetchArticleText(link) {
+    if (!FETCH_FULL_ARTICLES || !/^https?:\/\//i.test(link || '')) {
+        return null;
+    }
+
+    try {
+        const response = await axios.get(link, {
+            timeout: FETCH_TIMEOUT_MS,
+            responseType: 'text',
+            maxContentLength: 5 * 1024 * 1024,
+            headers: { 'User-Agent': 'Meaningful-Announcements/1.0 (+article text extraction)', 'Accept': 'text/html' }
+        });
+        const text = extractMainText(response.data);
+        return text.length > 0 ? text : null;
+    } catch (error) {
+        console.error(`[Fetch] Could not download ${link}:`, error.message);
+        return null;
+    }
+}
+
+// Split text into chunks of at most maxChars, breaking between paragraphs where possible
+function chunkText(text, maxChars) {
+    const chunks = [];
+    let current = '';
+
+    for (const paragraph of text.split(/\n{2,}/)) {
+        const pieces = [];
+        for (let i = 0; i < paragraph.length; i += maxChars) {
+            pieces.push(paragraph.substring(i, i + maxChars));
+        }
+        for (const piece of pieces) {
+            if (current && current.length + piece.length + 2 > maxChars) {
+                chunks.push(current);
+                current = '';
+            }
+            current = current ? `${current}\n\n${piece}` : piece;
+        }
+    }
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+module.exports = { extractMainText, fetchArticleText, chunkText };
@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+
+// Local webhook receiver for trying out digest delivery.
+// Prints every JSON payload it receives and answers 204.
+//   node bin/webhook-receiver.js [port]     (default 9000)
+// then start the app with DIGEST_WEBHOOK_URL=http://localhost:9000/digest
+// (or DIGEST_SLACK_WEBHOOK_URL=http://localhost:9000/slack).
+
+const http = require('http');
+
+const port = parseInt(process.argv[2] || process.env.WEBHOOK_RECEIVER_PORT, 10) || 9000;
+
+http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        console.log(`\n[${new Date().toISOString()}] ${req.method} ${req.url}`);
+        try {
+            console.log(JSON.stringify(JSON.parse(body), null, 2));
+        } catch (error) {
+            console.log(body);
+        }
+        res.writeHead(204);
+        res.end();
+    });
+}).listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}`);
+});
@@ -0,0 +1,129 @@
+// compare.js
+
+const { extractArticleFeatures } = require('./aiService');
+const providers = require('./providers');
+const store = require('./store');
+const usage = require('./usage');
+
+// ----------------------------------------------------
+// ⚖️ PROVIDER COMPARISON
+// Re-runs extraction on an article's stored text with two providers and
+// lines their features and use cases up side by side. Runs are stored per
+// provider in the store's `comparisons`, apart from the article itself.
+// ----------------------------------------------------
+
+// Pairs below this word overlap are shown as only found by one provider
+const FEATURE_MATCH_THRESHOLD = 0.5;
+const USE_CASE_MATCH_THRESHOLD = 0.5;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'to', 'in', 'on', 'with', 'by', 'at', 'from', 'via', 'its', 'new']);
+
+// Run extraction with one provider on the stored article text and save the run
+async function runExtraction(article, providerName) {
+    const { result, stats } = await usage.trackCalls(() => extractArticleFeatures(article.articleText, providerName));
+    const run = {
+        provider: providerName,
+        model: providers.getProvider(providerName).models.extract,
+        features: result.features,
+        validation: result.validation,
+        prompts: result.prompts,
+        stats: stats,
+        ranAt: new Date().toISOString()
+    };
+    store.setComparisonRun(article.key, providerName, run);
+    return run;
+}
+
+// Latest run for a provider. The provider that extracted the article's own
+// features counts as a run too, so only the other provider has to be run.
+function getRun(article, providerName) {
+    const run = store.getComparison(article.key)[providerName];
+    if (run) return run;
+    if (article.extractionProvider === providerName) {
+        return {
+            provider: providerName,
+            model: article.extractionModel,
+            features: article.features || [],
+            validation: article.validation,
+            prompts: article.extractionPrompts,
+            stats: article.extractionStats || null,
+            ranAt: article.extractedAt,
+            fromIngestion: true
+        };
+    }
+    return null;
+}
+
+// --- Diff ---
+function words(text) {
+    return new Set(((text || '').toLowerCase().match(/[a-z0-9]+/g) || []).filter(word => !STOP_WORDS.has(word)));
+}
+
+// Word overlap between two strings, 0..1, relative to the shorter one, so a
+// terse name ("Image mode for RHEL") still pairs with a wordier one
+function similarity(a, b) {
+    const left = words(a);
+    const right = words(b);
+    if (left.size === 0 || right.size === 0) return left.size === right.size ? 1 : 0;
+    let shared = 0;
+    for (const word of left) {
+        if (right.has(word)) shared++;
+    }
+    return shared / Math.min(left.size, right.size);
+}
+
+// Greedily pair the most similar items. Returns rows in left order, with
+// unmatched right items at the end: [{ status: 'same' | 'similar' | 'left' | 'right', left, right, similarity }]
+function pairItems(leftItems, rightItems, textOf, threshold) {
+    const candidates = [];
+    leftItems.forEach((left, i) => rightItems.forEach((right, j) => {
+        const score = similarity(textOf(left), textOf(right));
+        if (score >= threshold) candidates.push({ i, j, score });
+    }));
+    candidates.sort((a, b) => b.score - a.score);
+
+    const leftMatch = new Map();
+    const usedRight = new Set();
+    for (const { i, j, score } of candidates) {
+        if (leftMatch.has(i) || usedRight.has(j)) continue;
+        leftMatch.set(i, { j, score });
+        usedRight.add(j);
+    }
+
+    const rows = leftItems.map((left, i) => {
+        const match = leftMatch.get(i);
+        if (!match) return { status: 'left', left, right: null, similarity: 0 };
+        const right = rightItems[match.j];
+        const same = textOf(left).trim().toLowerCase() === textOf(right).trim().toLowerCase();
+        return { status: same ? 'same' : 'similar', left, right, similarity: match.score };
+    });
+    rightItems.forEach((right, j) => {
+        if (!usedRight.has(j)) rows.push({ status: 'right', left: null, right, similarity: 0 });
+    });
+    return rows;
+}
+
+// Feature rows, each with its own use case rows
+function diffFeatures(leftFeatures, rightFeatures) {
+    return pairItems(leftFeatures || [], rightFeatures || [], feature => feature.featureName, FEATURE_MATCH_THRESHOLD)
+        .map(row => ({
+            ...row,
+            useCases: pairItems(
+                row.left ? row.left.potentialUseCases || [] : [],
+                row.right ? row.right.potentialUseCases || [] : [],
+                useCase => useCase,
+                USE_CASE_MATCH_THRESHOLD
+            )
+        }));
+}
+
+// Counts for the summary line: how many features both providers found, and how many only one did
+function diffSummary(rows) {
+    return {
+        shared: rows.filter(row => row.status === 'same' || row.status === 'similar').length,
+        leftOnly: rows.filter(row => row.status === 'left').length,
+        rightOnly: rows.filter(row => row.status === 'right').length
+    };
+}
+
+module.exports = { runExtraction, getRun, diffFeatures, diffSummary };
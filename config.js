@@ -0,0 +1,196 @@
+// config.js
+
+const fs = require('fs');
+const path = require('path');
+
+// ----------------------------------------------------
+// ⚙️ ENVIRONMENT SETTINGS
+// Every setting the app reads from the environment (or .env) is parsed and
+// checked here, once, when the module is first required. Invalid values are
+// collected in `errors` instead of being silently replaced by the default;
+// app.js refuses to start while there are any.
+// Secrets (API keys, webhook URLs) are never logged: summary() masks them,
+// providers send keys in headers rather than URLs, and failed LLM calls only
+// keep the status, code and message of the client error (providers/llmCall.js).
+// ----------------------------------------------------
+
+// Names accepted by AI_PROVIDER; keep in step with the registry in providers/index.js
+const PROVIDER_NAMES = ['gemini', 'openai', 'local', 'mock'];
+
+const errors = [];
+const read = new Map(); // name -> { value, secret } for every variable that is set
+
+function raw(name, { secret = false } = {}) {
+    const value = process.env[name];
+    if (value === undefined || value.trim() === '') return undefined;
+    read.set(name, { value: value.trim(), secret });
+    return value.trim();
+}
+
+function string(name, fallback, options) {
+    const value = raw(name, options);
+    return value === undefined ? fallback : value;
+}
+
+function secret(name) {
+    return raw(name, { secret: true });
+}
+
+function integer(name, fallback, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+    const value = raw(name);
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        errors.push(`${name} must be a whole number between ${min} and ${max} (got "${value}").`);
+        return fallback;
+    }
+    return number;
+}
+
+function boolean(name, fallback) {
+    const value = raw(name);
+    if (value === undefined) return fallback;
+    if (value !== 'true' && value !== 'false') {
+        errors.push(`${name} must be "true" or "false" (got "${value}").`);
+        return fallback;
+    }
+    return value === 'true';
+}
+
+function choice(name, allowed, fallback) {
+    const value = raw(name);
+    if (value === undefined) return fallback;
+    if (!allowed.includes(value.toLowerCase())) {
+        errors.push(`${name} must be one of ${allowed.join(', ')} (got "${value}").`);
+        return fallback;
+    }
+    return value.toLowerCase();
+}
+
+// Only the scheme is checked; the value itself is not echoed for secret URLs
+function httpUrls(name, { secret: isSecret = false, list = false } = {}) {
+    const value = raw(name, { secret: isSecret });
+    if (value === undefined) return list ? [] : undefined;
+    const urls = list ? value.split(',').map(url => url.trim()).filter(Boolean) : [value];
+    for (const url of urls) {
+        let valid = false;
+        try {
+            valid = ['http:', 'https:'].includes(new URL(url).protocol);
+        } catch (error) {
+            valid = false;
+        }
+        if (!valid) {
+            errors.push(`${name} must be ${list ? 'a comma-separated list of' : 'an'} http(s) URL${list ? 's' : ''}${isSecret ? '' : ` (got "${url}")`}.`);
+        }
+    }
+    return list ? urls : urls[0];
+}
+
+// A file or directory that has to exist; relative paths are resolved from the working directory
+function existingPath(name, fallback) {
+    const value = raw(name);
+    const resolved = path.resolve(value === undefined ? fallback : value);
+    if (!fs.existsSync(resolved)) {
+        errors.push(`${name} points at ${resolved}, which does not exist.`);
+    }
+    return resolved;
+}
+
+// LLM_MAX_CONCURRENCY_<PROVIDER> for any provider name
+function perProviderConcurrency() {
+    const limits = {};
+    for (const name of Object.keys(process.env)) {
+        const match = name.match(/^LLM_MAX_CONCURRENCY_([A-Z0-9_]+)$/);
+        if (match) {
+            const limit = integer(name, undefined, { min: 1 });
+            if (limit !== undefined) limits[match[1].toLowerCase()] = limit;
+        }
+    }
+    return limits;
+}
+
+const nodeEnv = string('NODE_ENV', 'production');
+const localModel = string('LOCAL_LLM_MODEL', 'llama3.1');
+const promptsReload = boolean('PROMPTS_RELOAD', undefined);
+
+const config = {
+    nodeEnv: nodeEnv,
+
+    // --- Server ---
+    port: integer('PORT', 8080, { min: 1, max: 65535 }),
+    host: string('IP_ADDRESS', '127.0.0.1'),
+    publicBaseUrl: (httpUrls('PUBLIC_BASE_URL') || 'http://localhost:8080').replace(/\/+$/, ''),
+
+    // --- Data and ingestion ---
+    dataDir: path.resolve(string('DATA_DIR', path.join(__dirname, 'data'))),
+    feedsConfig: existingPath('FEEDS_CONFIG', path.join(__dirname, 'feeds.json')),
+    ingestConcurrency: integer('INGEST_CONCURRENCY', 3, { min: 1, max: 50 }),
+    fetchFullArticles: boolean('FETCH_FULL_ARTICLES', true),
+    articleFetchTimeoutMs: integer('ARTICLE_FETCH_TIMEOUT_MS', 15000, { min: 1 }),
+
+    // --- Profiles, prompts and pricing ---
+    industriesConfig: existingPath('INDUSTRIES_CONFIG', path.join(__dirname, 'profiles', 'industries.json')),
+    personasConfig: existingPath('PERSONAS_CONFIG', path.join(__dirname, 'profiles', 'personas.json')),
+    promptsDir: existingPath('PROMPTS_DIR', path.join(__dirname, 'prompts')),
+    promptsReload: promptsReload === undefined ? nodeEnv === 'development' : promptsReload,
+    pricingConfig: existingPath('PRICING_CONFIG', path.join(__dirname, 'pricing.json')),
+
+    // --- AI providers ---
+    aiProvider: choice('AI_PROVIDER', PROVIDER_NAMES, 'gemini'),
+    gemini: {
+        apiKey: secret('GEMINI_API_KEY'),
+        // Only changed for a proxy or the recorded responses in test/
+        baseUrl: (httpUrls('GEMINI_API_BASE_URL') || 'https://generativelanguage.googleapis.com/v1').replace(/\/+$/, ''),
+        models: {
+            extract: string('GEMINI_MODEL_EXTRACT', 'gemini-2.5-flash'),
+            guide: string('GEMINI_MODEL_GUIDE', 'gemini-2.5-flash') // v1 might not have pro, using flash
+        },
+        maxInputChars: integer('GEMINI_MAX_INPUT_CHARS', 100000, { min: 1000 })
+    },
+    openai: {
+        apiKey: secret('OPENAI_API_KEY'),
+        models: {
+            extract: string('OPENAI_MODEL_EXTRACT', 'gpt-4o-mini'),
+            guide: string('OPENAI_MODEL_GUIDE', 'gpt-4o')
+        },
+        maxInputChars: integer('OPENAI_MAX_INPUT_CHARS', 100000, { min: 1000 })
+    },
+    local: {
+        baseUrl: httpUrls('LOCAL_LLM_BASE_URL'),
+        apiKey: secret('LOCAL_LLM_API_KEY'),
+        model: localModel,
+        models: {
+            extract: string('LOCAL_LLM_MODEL_EXTRACT', localModel),
+            guide: string('LOCAL_LLM_MODEL_GUIDE', localModel)
+        },
+        maxInputChars: integer('LOCAL_LLM_MAX_INPUT_CHARS', 12000, { min: 1000 }),
+        useTools: boolean('LOCAL_LLM_USE_TOOLS', false)
+    },
+    mock: {
+        fixtureDir: existingPath('MOCK_FIXTURE_DIR', path.join(__dirname, 'fixtures', 'mock'))
+    },
+
+    // --- LLM call limits (providers/llmCall.js) ---
+    llm: {
+        timeoutMs: integer('LLM_TIMEOUT_MS', 120000, { min: 1 }),
+        maxRetries: integer('LLM_MAX_RETRIES', 3, { max: 10 }),
+        retryBaseMs: integer('LLM_RETRY_BASE_MS', 1000, { min: 1 }),
+        maxConcurrency: integer('LLM_MAX_CONCURRENCY', 4, { min: 1 }),
+        providerConcurrency: perProviderConcurrency()
+    },
+
+    // --- Digest webhooks (digest.js) ---
+    digest: {
+        webhookUrls: httpUrls('DIGEST_WEBHOOK_URL', { secret: true, list: true }),
+        slackWebhookUrls: httpUrls('DIGEST_SLACK_WEBHOOK_URL', { secret: true, list: true })
+    }
+};
+
+// The variables that are set, as "NAME=value" with secrets masked, for the startup log
+function summary() {
+    return Array.from(read.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, { value, secret: isSecret }]) => `${name}=${isSecret ? '(set)' : value}`);
+}
+
+module.exports = { config, errors, summary };
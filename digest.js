@@ -0,0 +1,267 @@
+// digest.js
+
+const axios = require('axios');
+const store = require('./store');
+const { guidePath } = require('./guideService');
+const { config } = require('./config');
+
+// ----------------------------------------------------
+// 📬 NEW FEATURE DIGESTS
+// After each ingestion run, the features that were not there before are
+// collected into a digest. Digests are kept in the store and published as
+// an Atom feed (/digest.atom), an RSS feed (/digest.rss) and outgoing webhooks:
+//   DIGEST_WEBHOOK_URL        generic JSON payload (comma-separate several URLs)
+//   DIGEST_SLACK_WEBHOOK_URL  Slack incoming webhook payload
+// Links in feeds and payloads point at PUBLIC_BASE_URL.
+// ----------------------------------------------------
+const WEBHOOK_TIMEOUT_MS = 10000;
+const FEED_ENTRIES = 100;
+// Atom (RFC 4287) requires an author on the feed or on every entry
+const FEED_AUTHOR = 'Red Hat Announcement Analyzer';
+
+function publicBaseUrl() {
+    return config.publicBaseUrl;
+}
+
+function webhookTargets() {
+    return [
+        ...config.digest.webhookUrls.map(url => ({ format: 'json', url })),
+        ...config.digest.slackWebhookUrls.map(url => ({ format: 'slack', url }))
+    ];
+}
+
+// Build and store a digest from the new features found by an ingestion job.
+// newFeatures: [{ articleKey, featureName }]. Returns the digest, or null if nothing was new.
+async function recordDigest(job, newFeatures) {
+    const articles = new Map();
+    for (const { articleKey, featureName } of newFeatures) {
+        const article = store.getArticle(articleKey);
+        const feature = article && (article.features || []).find(f => f.featureName === featureName);
+        if (!feature) continue;
+
+        // A snapshot, so the feed stays the same when the article is extracted again later
+        const entry = articles.get(articleKey) || {
+            articleId: store.articleId(article),
+            title: article.title,
+            link: article.link,
+            pubDate: article.pubDate,
+            sources: article.sources || [],
+            features: []
+        };
+        entry.features.push({
+            featureId: store.featureId(feature),
+            featureName: feature.featureName,
+            featureSummary: feature.featureSummary,
+            useCases: (feature.potentialUseCases || []).map(useCase => ({
+                text: useCase,
+                guidePath: guidePath(article, feature, useCase)
+            }))
+        });
+        articles.set(articleKey, entry);
+    }
+
+    if (articles.size === 0) {
+        return null;
+    }
+
+    const digest = store.addDigest({
+        id: `${job.id}-${Date.now().toString(36)}`,
+        createdAt: new Date().toISOString(),
+        jobId: job.id,
+        provider: job.provider,
+        // Recorded by the first run into an empty store; not sent to webhooks
+        baseline: !!job.baseline,
+        articles: Array.from(articles.values()),
+        deliveries: []
+    });
+    await store.save();
+    console.log(`[Digest] ${featureCount(digest)} new features in ${digest.articles.length} articles`);
+    return digest;
+}
+
+function featureCount(digest) {
+    return digest.articles.reduce((count, article) => count + article.features.length, 0);
+}
+
+// --- Webhook payloads ---
+function jsonPayload(digest) {
+    const base = publicBaseUrl();
+    return {
+        type: 'feature-digest',
+        digestId: digest.id,
+        createdAt: digest.createdAt,
+        provider: digest.provider,
+        featureCount: featureCount(digest),
+        articles: digest.articles.map(article => ({
+            title: article.title,
+            link: article.link,
+            pubDate: article.pubDate,
+            sources: article.sources,
+            features: article.features.map(feature => ({
+                featureName: feature.featureName,
+                featureSummary: feature.featureSummary,
+                useCases: feature.useCases.map(useCase => ({ text: useCase.text, guideUrl: base + useCase.guidePath }))
+            }))
+        }))
+    };
+}
+
+// Slack mrkdwn needs &, < and > escaped
+function slackEscape(text) {
+    return (text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Slack limits section text to 3000 characters
+const SLACK_SECTION_CHARS = 3000;
+const SLACK_TITLE_CHARS = 200;
+
+// At most `max` characters, without splitting a surrogate pair
+function clip(text, max) {
+    const chars = Array.from(text || '');
+    return chars.length > max ? `${chars.slice(0, max - 1).join('')}…` : text || '';
+}
+
+// One section per article. Features are added whole while they fit, so no link or
+// escape is ever cut in half; the ones that do not fit are counted at the end.
+function slackArticleText(base, article) {
+    let text = `*<${article.link}|${slackEscape(clip(article.title, SLACK_TITLE_CHARS))}>*`;
+    const lines = article.features.map(feature => {
+        const guide = feature.useCases[0] ? ` (<${base}${feature.useCases[0].guidePath}|guide>)` : '';
+        return `• *${slackEscape(feature.featureName)}*${guide}\n${slackEscape(feature.featureSummary)}`;
+    });
+    for (let i = 0; i < lines.length; i++) {
+        const rest = lines.length - i - 1;
+        const reserve = rest > 0 ? `\n…and ${rest} more`.length : 0;
+        if (text.length + 1 + lines[i].length + reserve > SLACK_SECTION_CHARS) {
+            return `${text}\n…and ${lines.length - i} more`;
+        }
+        text += `\n${lines[i]}`;
+    }
+    return text;
+}
+
+function slackPayload(digest) {
+    const base = publicBaseUrl();
+    const count = featureCount(digest);
+    const text = `${count} new Red Hat feature${count === 1 ? '' : 's'} in ${digest.articles.length} announcement${digest.articles.length === 1 ? '' : 's'}`;
+    const blocks = [{ type: 'header', text: { type: 'plain_text', text: text.substring(0, 150) } }];
+    for (const article of digest.articles) {
+        blocks.push({ type: 'section', text: { type: 'mrkdwn', text: slackArticleText(base, article) } });
+    }
+    return { text, blocks: blocks.slice(0, 50) };
+}
+
+// Webhook URLs often carry a secret in the path, so only the host is logged and stored
+function safeTarget(url) {
+    try {
+        return new URL(url).host;
+    } catch (error) {
+        return 'invalid URL';
+    }
+}
+
+// POST the digest to every configured webhook; failures are logged and recorded, never thrown
+async function deliverDigest(digest) {
+    const targets = webhookTargets();
+    const deliveries = await Promise.all(targets.map(async ({ format, url }) => {
+        const payload = format === 'slack' ? slackPayload(digest) : jsonPayload(digest);
+        const delivery = { format, target: safeTarget(url), at: new Date().toISOString() };
+        try {
+            const response = await axios.post(url, payload, { timeout: WEBHOOK_TIMEOUT_MS, headers: { 'Content-Type': 'application/json' } });
+            console.log(`[Digest] Delivered ${digest.id} to ${delivery.target} (${format}, HTTP ${response.status})`);
+            return { ...delivery, ok: true, status: response.status };
+        } catch (error) {
+            const reason = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+            console.error(`[Digest] Could not deliver ${digest.id} to ${delivery.target} (${format}): ${reason}`);
+            return { ...delivery, ok: false, error: reason };
+        }
+    }));
+
+    if (deliveries.length > 0) {
+        digest.deliveries.push(...deliveries);
+        await store.save();
+    }
+    return deliveries;
+}
+
+// --- Feeds ---
+function xmlEscape(text) {
+    return String(text == null ? '' : text)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+// One feed entry per new feature, newest digest first
+function feedEntries() {
+    const base = publicBaseUrl();
+    const entries = [];
+    for (const digest of store.listDigests()) {
+        for (const article of digest.articles) {
+            for (const feature of article.features) {
+                const useCases = feature.useCases
+                    .map(useCase => `<li><a href="${xmlEscape(base + useCase.guidePath)}">${xmlEscape(useCase.text)}</a></li>`)
+                    .join('');
+                entries.push({
+                    id: `${digest.id}/${article.articleId}/${feature.featureId}`,
+                    title: feature.featureName,
+                    link: article.link,
+                    updated: digest.createdAt,
+                    html: `<p>${xmlEscape(feature.featureSummary)}</p><p>From <a href="${xmlEscape(article.link)}">${xmlEscape(article.title)}</a></p><ul>${useCases}</ul>`
+                });
+            }
+        }
+    }
+    return entries.slice(0, FEED_ENTRIES);
+}
+
+function toAtom() {
+    const base = publicBaseUrl();
+    const entries = feedEntries();
+    const updated = entries.length > 0 ? entries[0].updated : new Date(0).toISOString();
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        '  <title>New Red Hat features</title>',
+        `  <id>${xmlEscape(base)}/digest.atom</id>`,
+        `  <link rel="self" href="${xmlEscape(base)}/digest.atom"/>`,
+        `  <link href="${xmlEscape(base)}/"/>`,
+        `  <updated>${updated}</updated>`,
+        `  <author><name>${xmlEscape(FEED_AUTHOR)}</name></author>`,
+        ...entries.map(entry => [
+            '  <entry>',
+            `    <id>${xmlEscape(`${base}/digest/${entry.id}`)}</id>`,
+            `    <title>${xmlEscape(entry.title)}</title>`,
+            `    <link href="${xmlEscape(entry.link)}"/>`,
+            `    <updated>${entry.updated}</updated>`,
+            `    <content type="html">${xmlEscape(entry.html)}</content>`,
+            '  </entry>'
+        ].join('\n')),
+        '</feed>',
+        ''
+    ].join('\n');
+}
+
+function toRss() {
+    const base = publicBaseUrl();
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<rss version="2.0">',
+        '<channel>',
+        '  <title>New Red Hat features</title>',
+        `  <link>${xmlEscape(base)}/</link>`,
+        '  <description>Features newly extracted from Red Hat announcements</description>',
+        ...feedEntries().map(entry => [
+            '  <item>',
+            `    <guid isPermaLink="false">${xmlEscape(entry.id)}</guid>`,
+            `    <title>${xmlEscape(entry.title)}</title>`,
+            `    <link>${xmlEscape(entry.link)}</link>`,
+            `    <pubDate>${new Date(entry.updated).toUTCString()}</pubDate>`,
+            `    <description>${xmlEscape(entry.html)}</description>`,
+            '  </item>'
+        ].join('\n')),
+        '</channel>',
+        '</rss>',
+        ''
+    ].join('\n');
+}
+
+module.exports = { recordDigest, deliverDigest, jsonPayload, slackPayload, toAtom, toRss, featureCount };
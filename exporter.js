@@ -0,0 +1,161 @@
+// exporter.js
+
+const TurndownService = require('turndown');
+const PDFDocument = require('pdfkit');
+const { Parser } = require('htmlparser2');
+const { toOutline } = require('./infographic');
+
+// ----------------------------------------------------
+// 📤 GUIDE EXPORTS (Markdown and PDF; the standalone HTML file is views/export.hbs)
+// Every export starts with the same details: feature, use case, industry, persona,
+// source article and the provider/model that generated the guide.
+// The `doc` passed in is { featureName, useCase, industry, persona, articleTitle, articleLink,
+// provider, model, version, generatedAt, html, infographic, infographicHtml } with sanitized HTML.
+// `infographic` is the structured data (null for legacy versions, which only have infographicHtml).
+// ----------------------------------------------------
+
+const turndown = new TurndownService({ headingStyle: 'atx', codeBlockStyle: 'fenced', bulletListMarker: '-' });
+
+function exportFileName(doc, extension) {
+    const slug = `${doc.featureName}-${doc.industry}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 80);
+    return `guide-${slug || 'export'}.${extension}`;
+}
+
+function exportDetails(doc) {
+    return [
+        ['Use case', doc.useCase],
+        ['Target industry', doc.industry],
+        ['Audience', doc.persona],
+        ['Source article', doc.articleTitle],
+        ['Article link', doc.articleLink],
+        ['Generated by', `${doc.provider} (${doc.model || 'unknown model'}), version ${doc.version}, ${doc.generatedAt}`]
+    ];
+}
+
+function toMarkdown(doc) {
+    const lines = [
+        `# ${doc.featureName}`,
+        '',
+        `- **Use case:** ${doc.useCase}`,
+        `- **Target industry:** ${doc.industry}`,
+        `- **Audience:** ${doc.persona}`,
+        `- **Source article:** [${doc.articleTitle}](${doc.articleLink})`,
+        `- **Generated by:** ${doc.provider} (${doc.model || 'unknown model'}), version ${doc.version}, ${doc.generatedAt}`,
+        ''
+    ];
+
+    if (doc.infographic) {
+        const outline = toOutline(doc.infographic);
+        lines.push('## Business Value', '', `### ${outline.title}`, '');
+        for (const section of outline.sections) {
+            lines.push(`**${section.heading}**`, '', ...section.items.map((item, i) => (section.ordered ? `${i + 1}. ${item}` : `- ${item}`)), '');
+        }
+    } else if (doc.infographicHtml) {
+        lines.push('## Business Value', '', turndown.turndown(doc.infographicHtml), '');
+    }
+
+    lines.push('---', '', turndown.turndown(doc.html || ''), '');
+    return lines.join('\n');
+}
+
+// Flatten the guide HTML into text blocks (headings, paragraphs, list items, code) for the PDF
+function htmlToBlocks(html) {
+    const blocks = [];
+    const open = [];
+    let current = null;
+
+    const flush = () => {
+        if (current && current.text.trim()) {
+            blocks.push({ type: current.type, text: current.type === 'pre' ? current.text.replace(/^\n+|\s+$/g, '') : current.text.trim() });
+        }
+        current = null;
+    };
+
+    const parser = new Parser({
+        onopentag(name) {
+            open.push(name);
+            if (/^(h[1-6]|p|li|pre|td|th|blockquote)$/.test(name)) {
+                flush();
+                current = { type: name, text: '' };
+            } else if (name === 'br' && current) {
+                current.text += '\n';
+            }
+        },
+        ontext(text) {
+            if (!current) current = { type: 'p', text: '' };
+            current.text += open.includes('pre') ? text : text.replace(/\s+/g, ' ');
+        },
+        onclosetag(name) {
+            open.pop();
+            if (current && current.type === name) flush();
+        }
+    }, { decodeEntities: true });
+
+    parser.write(html || '');
+    parser.end();
+    flush();
+    return blocks;
+}
+
+// The infographic outline as the same blocks; steps keep their numbers
+function outlineBlocks(outline) {
+    const blocks = [{ type: 'h3', text: outline.title }];
+    for (const section of outline.sections) {
+        blocks.push({ type: 'h4', text: section.heading });
+        section.items.forEach((item, i) => blocks.push({ type: section.ordered ? 'p' : 'li', text: section.ordered ? `${i + 1}. ${item}` : item }));
+    }
+    return blocks;
+}
+
+const HEADING_SIZES = { h1: 20, h2: 16, h3: 14, h4: 12, h5: 11, h6: 11 };
+
+function writeBlocks(pdf, blocks) {
+    for (const block of blocks) {
+        if (HEADING_SIZES[block.type]) {
+            pdf.moveDown(0.5).font('Helvetica-Bold').fontSize(HEADING_SIZES[block.type]).fillColor('#cc0000').text(block.text);
+        } else if (block.type === 'li') {
+            pdf.font('Helvetica').fontSize(10).fillColor('#000000').text(`•  ${block.text}`, { indent: 10 });
+        } else if (block.type === 'pre') {
+            pdf.font('Courier').fontSize(9).fillColor('#333333').text(block.text, { indent: 10 });
+        } else {
+            pdf.font('Helvetica').fontSize(10).fillColor('#000000').text(block.text);
+        }
+        pdf.moveDown(0.3);
+    }
+}
+
+// Produces the PDF locally with pdfkit; resolves to a Buffer
+function toPdf(doc) {
+    return new Promise((resolve, reject) => {
+        const pdf = new PDFDocument({
+            size: 'A4',
+            margin: 50,
+            info: { Title: `Guide: ${doc.featureName}`, Subject: doc.useCase, Keywords: doc.industry }
+        });
+        const chunks = [];
+        pdf.on('data', chunk => chunks.push(chunk));
+        pdf.on('end', () => resolve(Buffer.concat(chunks)));
+        pdf.on('error', reject);
+
+        pdf.font('Helvetica-Bold').fontSize(22).fillColor('#cc0000').text(doc.featureName);
+        pdf.moveDown(0.5);
+        for (const [label, value] of exportDetails(doc)) {
+            pdf.font('Helvetica-Bold').fontSize(10).fillColor('#000000').text(`${label}: `, { continued: true })
+                .font('Helvetica').text(value || '', label === 'Article link' && doc.articleLink ? { link: doc.articleLink, underline: true } : {});
+        }
+
+        if (doc.infographic) {
+            pdf.moveDown().font('Helvetica-Bold').fontSize(16).fillColor('#cc0000').text('Business Value');
+            writeBlocks(pdf, outlineBlocks(toOutline(doc.infographic)));
+        } else if (doc.infographicHtml) {
+            pdf.moveDown().font('Helvetica-Bold').fontSize(16).fillColor('#cc0000').text('Business Value');
+            writeBlocks(pdf, htmlToBlocks(doc.infographicHtml));
+        }
+
+        pdf.moveDown();
+        writeBlocks(pdf, htmlToBlocks(doc.html));
+        pdf.end();
+    });
+}
+
+module.exports = { exportFileName, exportDetails, toMarkdown, toPdf };
@@ -0,0 +1,97 @@
+// feeds.js
+
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const RSSParser = require('rss-parser');
+const { config } = require('./config');
+const metrics = require('./metrics');
+
+const rssParser = new RSSParser();
+
+// ----------------------------------------------------
+// 📰 RSS SOURCES
+// Feeds are listed in a JSON file (FEEDS_CONFIG, default ./feeds.json):
+//   [{ id, label, url, limit, enabled }]
+// `url` may be http(s), file:// or a path relative to the config file,
+// so a feed can point at a local fixture for offline testing.
+// ----------------------------------------------------
+const FEEDS_CONFIG = config.feedsConfig;
+const DEFAULT_LIMIT = 15;
+
+function loadFeeds() {
+    const feeds = JSON.parse(fs.readFileSync(FEEDS_CONFIG, 'utf8'));
+    if (!Array.isArray(feeds)) {
+        throw new Error(`${FEEDS_CONFIG} must contain an array of feeds.`);
+    }
+
+    return feeds.filter(feed => feed.enabled !== false).map(feed => {
+        if (!feed.id || !feed.url) {
+            throw new Error(`Every feed in ${FEEDS_CONFIG} needs an id and a url.`);
+        }
+        return {
+            id: feed.id,
+            label: feed.label || feed.id,
+            url: feed.url,
+            limit: parseInt(feed.limit, 10) || DEFAULT_LIMIT
+        };
+    });
+}
+
+const FEEDS = loadFeeds();
+
+function listFeeds() {
+    return FEEDS;
+}
+
+function getFeed(id) {
+    return FEEDS.find(feed => feed.id === id);
+}
+
+async function parseFeed(feed) {
+    if (/^https?:\/\//i.test(feed.url)) {
+        return rssParser.parseURL(feed.url);
+    }
+    const filePath = feed.url.startsWith('file://')
+        ? fileURLToPath(feed.url) // Decodes %20 and the like, and handles Windows drive letters
+        : path.resolve(path.dirname(FEEDS_CONFIG), feed.url);
+    return rssParser.parseString(await fs.promises.readFile(filePath, 'utf8'));
+}
+
+// Fetch every configured feed and merge the items, de-duplicated by link.
+// An item that appears in several feeds lists all of their ids in `sources`.
+// A failing feed is logged and skipped; only if every feed fails is an error thrown.
+async function fetchAllFeeds() {
+    const results = await Promise.all(FEEDS.map(async feed => {
+        const startedAt = Date.now();
+        try {
+            const parsed = await parseFeed(feed);
+            metrics.recordFeedFetch(feed.id, true, Date.now() - startedAt);
+            console.log(`[Feeds] ${feed.label}: ${parsed.items.length} items (using ${Math.min(parsed.items.length, feed.limit)})`);
+            return { feed, items: parsed.items.slice(0, feed.limit) };
+        } catch (error) {
+            metrics.recordFeedFetch(feed.id, false, Date.now() - startedAt);
+            console.error(`[Feeds] Error fetching/parsing ${feed.label} (${feed.url}):`, error.message);
+            return { feed, error };
+        }
+    }));
+
+    if (results.every(result => result.error)) {
+        throw new Error('None of the configured feeds could be fetched.');
+    }
+
+    const merged = new Map();
+    for (const { feed, items } of results) {
+        for (const item of items || []) {
+            const existing = merged.get(item.link);
+            if (existing) {
+                existing.sources.push(feed.id);
+            } else {
+                merged.set(item.link, { ...item, sources: [feed.id] });
+            }
+        }
+    }
+    return Array.from(merged.values());
+}
+
+module.exports = { listFeeds, getFeed, fetchAllFeeds };
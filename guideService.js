@@ -0,0 +1,115 @@
+// guideService.js
+
+const { generateGuide } = require('./aiService');
+const providers = require('./providers');
+const store = require('./store');
+const profiles = require('./profiles');
+const usage = require('./usage');
+
+// Shared by the rendered pages in app.js and the JSON API in routes/api.js,
+// so both resolve and generate guides exactly the same way.
+
+function extractionFailed(article) {
+    return !!article.validation && article.validation.status === 'failed';
+}
+
+// Articles shown on the index page (legacy /guide index URLs count positions in this list).
+// Failed extractions are listed too, so they show up as errors rather than disappearing.
+function displayedArticles() {
+    return store.listArticles().filter(article => (article.features && article.features.length > 0) || extractionFailed(article));
+}
+
+// Stable, shareable guide path built from article and feature IDs
+function guidePath(article, feature, useCase) {
+    return `/guide/${store.articleId(article)}/${store.featureId(feature)}/${store.useCaseId(useCase)}`;
+}
+
+// The version of a stored guide picked with ?version= (default: the active one), or undefined
+function shownGuideVersion(guide, requestedVersion) {
+    const number = parseInt(requestedVersion, 10) || guide.activeVersion;
+    return guide.versions.find(v => v.version === number);
+}
+
+// Resolve stable guide IDs against the store.
+// Returns the target, or { error: { status, message } } if it cannot be resolved.
+// industry and persona (ids) resolve to profiles from profiles.js.
+// Without an explicit provider, the one that extracted the features is used.
+function resolveGuideTarget({ articleId, featureId, useCaseId }, { industry, persona, provider, fallbackProvider }) {
+    // 1. Validate the store has data
+    if (store.listArticles().length === 0) {
+        return { error: { status: 503, message: 'Cache empty. Please visit the homepage first to load data.' } };
+    }
+
+    // 2. Resolve the stable IDs against the store
+    const { article, feature, useCase } = store.findGuideTarget(articleId, featureId, useCaseId);
+
+    if (!article || !feature) {
+        return { error: { status: 404, message: 'Feature or Article not found in cache.' } };
+    }
+
+    if (!useCase) {
+        return { error: { status: 404, message: 'Use Case not found in cache.' } };
+    }
+
+    const industryProfile = profiles.resolveIndustry(industry);
+    const personaProfile = profiles.resolvePersona(persona);
+    provider = provider || article.extractionProvider || fallbackProvider;
+
+    return {
+        article, feature, useCase, provider,
+        industry: industryProfile,
+        persona: personaProfile,
+        key: store.guideKey(article, feature, useCase, industryProfile.id, personaProfile.id, provider)
+    };
+}
+
+// Generate the guide and store it as a new version. guide is null if generation failed;
+// result then holds the error block from generateGuide.
+async function generateGuideVersion({ article, feature, useCase, industry, persona, provider, key }) {
+    console.log(`Generating Guide for Industry: ${industry.name}, Persona: ${persona.name} using ${provider.toUpperCase()}...`);
+
+    // --- Guide Generation (Pass the industry and persona profiles to the generation function) ---
+    // Latency and token counts are kept with the version, for the provider comparison view
+    const { result, stats } = await usage.trackCalls(() => generateGuide(feature, useCase, provider, industry, persona));
+    if (result.failed) {
+        return { guide: null, result };
+    }
+
+    const guide = store.addGuideVersion(key, {
+        articleKey: article.key,
+        featureName: feature.featureName,
+        useCase: useCase,
+        industry: industry.id,
+        persona: persona.id,
+        provider: provider
+    }, {
+        html: result.html,
+        // Structured infographic data (schemas.infographicSchema), rendered by infographic.js
+        infographic: result.infographic,
+        model: providers.getProvider(provider).models.guide,
+        prompts: result.prompts,
+        stats: stats,
+        generatedAt: new Date().toISOString()
+    });
+    await store.save();
+    return { guide, result };
+}
+
+// First generations in flight, by guide key
+const firstGenerations = new Map();
+
+// The stored guide, or a newly generated one if there is none yet. Requests that open the
+// same new guide at the same time share one generation, so it is billed and stored once.
+// Resolves like generateGuideVersion; result is null when the guide was already stored.
+function getOrGenerateGuide(target) {
+    const guide = store.getGuide(target.key);
+    if (guide) {
+        return Promise.resolve({ guide, result: null });
+    }
+    if (!firstGenerations.has(target.key)) {
+        firstGenerations.set(target.key, generateGuideVersion(target).finally(() => firstGenerations.delete(target.key)));
+    }
+    return firstGenerations.get(target.key);
+}
+
+module.exports = { extractionFailed, displayedArticles, guidePath, shownGuideVersion, resolveGuideTarget, generateGuideVersion, getOrGenerateGuide };
@@ -0,0 +1,145 @@
+// infographic.js
+
+const fs = require('fs');
+const path = require('path');
+const hbs = require('hbs');
+const { infographicSchema, validateAgainstSchema } = require('./schemas');
+const { sanitizeInfographicHtml } = require('./sanitize');
+
+// ----------------------------------------------------
+// 📊 BUSINESS VALUE INFOGRAPHICS
+// The model returns structured data (schemas.infographicSchema: before/after,
+// key metrics, flow steps), which is rendered through our own partial,
+// views/partials/infographic.hbs, in Red Hat styling. The partial is registered
+// with the view engine, so pages can use {{> infographic}} as well.
+// Users can correct the values on the guide page. Edits are stored on the guide
+// version as `infographicEdited`, next to the generated `infographic`, and are
+// what every page and export shows. Versions from before structured data only
+// have the model's HTML (`infographicHtml`); it is still shown, sanitized, but
+// cannot be edited.
+// ----------------------------------------------------
+const PARTIAL_FILE = path.join(__dirname, 'views', 'partials', 'infographic.hbs');
+
+hbs.registerPartial('infographic', fs.readFileSync(PARTIAL_FILE, 'utf8'));
+const template = hbs.handlebars.compile('{{> infographic}}');
+
+const sideSchema = infographicSchema.properties.before.properties;
+const metricSchema = infographicSchema.properties.metrics.items.properties;
+const flowSchema = infographicSchema.properties.flow.items.properties;
+
+// Form limits, taken from the schema so the browser and the server agree
+const LIMITS = {
+    title: infographicSchema.properties.title.maxLength,
+    heading: sideSchema.heading.maxLength,
+    points: sideSchema.points.maxItems,
+    point: sideSchema.points.items.maxLength,
+    metrics: infographicSchema.properties.metrics.maxItems,
+    value: metricSchema.value.maxLength,
+    label: metricSchema.label.maxLength,
+    flow: infographicSchema.properties.flow.maxItems,
+    step: flowSchema.step.maxLength,
+    detail: flowSchema.detail.maxLength
+};
+
+// HTML for infographic data, or null
+function render(data) {
+    return data ? template(data) : null;
+}
+
+// What a stored guide version shows: { data, html, edited }.
+// data is null for versions that only have legacy model HTML (or no infographic at all).
+function infographicView(version) {
+    const data = version.infographicEdited || version.infographic || null;
+    if (data) {
+        return { data, html: render(data), edited: !!version.infographicEdited };
+    }
+    return { data: null, html: sanitizeInfographicHtml(version.infographicHtml || null), edited: false };
+}
+
+// Check data (from the model or the edit form) against the schema and keep only the fields
+// the partial renders. Returns { data, problems }; data is null when there are problems.
+function checkInfographic(value) {
+    const problems = validateAgainstSchema(value, infographicSchema, 'infographic');
+    if (problems.length > 0) {
+        return { data: null, problems };
+    }
+    const side = ({ heading, points }) => ({ heading, points });
+    return {
+        data: {
+            title: value.title,
+            before: side(value.before),
+            after: side(value.after),
+            metrics: value.metrics.map(({ value: metric, label }) => ({ value: metric, label })),
+            flow: value.flow.map(({ step, detail }) => ({ step, detail }))
+        },
+        problems
+    };
+}
+
+// --- Editing ---
+function padRows(rows, count, blank) {
+    return [...rows, ...Array.from({ length: Math.max(0, count - rows.length) }, () => ({ ...blank }))];
+}
+
+// Values for the edit form on the guide page; lists get blank rows up to their limit
+function formView(data) {
+    return {
+        title: data.title,
+        beforeHeading: data.before.heading,
+        beforePoints: data.before.points.join('\n'),
+        afterHeading: data.after.heading,
+        afterPoints: data.after.points.join('\n'),
+        metrics: padRows(data.metrics, LIMITS.metrics, { value: '', label: '' }),
+        flow: padRows(data.flow, LIMITS.flow, { step: '', detail: '' }),
+        limits: LIMITS
+    };
+}
+
+// Repeated form fields arrive as an array, a single one as a string
+function fieldList(value) {
+    if (value === undefined) return [];
+    return (Array.isArray(value) ? value : [value]).map(item => String(item).trim());
+}
+
+function lines(value) {
+    return String(value || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+// Turn the submitted form (or a JSON body in the same shape as the stored data) into
+// infographic data. Returns { data, problems }; data is null unless it matches the schema.
+function parseEdits(body = {}) {
+    let data;
+    if (body.before && typeof body.before === 'object') {
+        data = body;
+    } else {
+        const values = fieldList(body.metricValue);
+        const labels = fieldList(body.metricLabel);
+        const steps = fieldList(body.flowStep);
+        const details = fieldList(body.flowDetail);
+        data = {
+            title: String(body.title || '').trim(),
+            before: { heading: String(body.beforeHeading || '').trim(), points: lines(body.beforePoints) },
+            after: { heading: String(body.afterHeading || '').trim(), points: lines(body.afterPoints) },
+            // Rows left blank are dropped
+            metrics: values.map((value, i) => ({ value, label: labels[i] || '' })).filter(row => row.value || row.label),
+            flow: steps.map((step, i) => ({ step, detail: details[i] || '' })).filter(row => row.step || row.detail)
+        };
+    }
+
+    return checkInfographic(data);
+}
+
+// Plain-text outline of the data for the Markdown and PDF exports
+function toOutline(data) {
+    return {
+        title: data.title,
+        sections: [
+            { heading: data.before.heading, items: data.before.points },
+            { heading: data.after.heading, items: data.after.points },
+            { heading: 'Key metrics', items: data.metrics.map(metric => `${metric.value} - ${metric.label}`) },
+            { heading: 'How to get there', items: data.flow.map(step => `${step.step}: ${step.detail}`), ordered: true }
+        ]
+    };
+}
+
+module.exports = { render, infographicView, checkInfographic, formView, parseEdits, toOutline };
@@ -0,0 +1,214 @@
+// ingestion.js
+
+const EventEmitter = require('events');
+const { extractArticleFeatures } = require('./aiService');
+const { fetchArticleText } = require('./articleFetcher');
+const providers = require('./providers');
+const store = require('./store');
+const feeds = require('./feeds');
+const usage = require('./usage');
+const digest = require('./digest');
+const { config } = require('./config');
+const metrics = require('./metrics');
+
+// How many extraction calls may run at the same time
+const INGEST_CONCURRENCY = config.ingestConcurrency;
+
+// ----------------------------------------------------
+// 🔄 BACKGROUND INGESTION JOB
+// Only one job runs at a time. Progress is published on `events`
+// ('progress' and 'done') so routes can stream it to the browser.
+// ----------------------------------------------------
+const events = new EventEmitter();
+events.setMaxListeners(0); // One listener per open SSE connection
+
+let currentJob = null;
+
+function publicState(job) {
+    if (!job) return null;
+    const { id, status, provider, total, started, completed, extracted, failed, message, error, startedAt, finishedAt } = job;
+    return { id, status, provider, total, started, completed, extracted, failed, message, error, startedAt, finishedAt };
+}
+
+function publish(job, eventName, message) {
+    job.message = message;
+    console.log(`[Ingest] ${message}`);
+    events.emit(eventName, publicState(job));
+}
+
+// Run worker over items with at most `limit` calls in flight
+async function runWithConcurrency(items, limit, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            await worker(item);
+        }
+    });
+    await Promise.all(runners);
+}
+
+// Articles stored before knownFeatures was kept only have their current features
+function knownFeatureIds(article) {
+    if (article.knownFeatures) return article.knownFeatures;
+    return article.validation && article.validation.status === 'failed' ? [] : (article.features || []).map(store.featureId);
+}
+
+async function extractArticle(job, { item, key, hash, articleContent }) {
+    job.started++;
+    publish(job, 'progress', `extracting ${job.started}/${job.total}: ${item.title}`);
+
+    // --- Article Text ---
+    // Reuse the page text downloaded last time if the RSS item is unchanged (e.g. when
+    // retrying a failed extraction); otherwise download the page, falling back to the RSS content.
+    const stored = store.getArticle(key);
+    let articleText;
+    let textSource;
+    if (stored && stored.contentHash === hash && stored.articleText) {
+        articleText = stored.articleText;
+        textSource = stored.textSource;
+    } else {
+        const pageText = await fetchArticleText(item.link);
+        articleText = pageText || articleContent;
+        textSource = pageText ? 'page' : 'rss';
+    }
+
+    // Features this article already had, so only new ones go into the digest.
+    // Remembered across failed extractions, which store no features.
+    const knownFeatures = new Set(stored ? knownFeatureIds(stored) : []);
+
+    // --- Feature Extraction ---
+    const { result, stats } = await usage.trackCalls(() => extractArticleFeatures(articleText, job.provider));
+    const { features, validation, prompts } = result;
+
+    store.upsertArticle({
+        key: key,
+        title: item.title,
+        pubDate: item.pubDate,
+        link: item.link,
+        sources: item.sources,
+        contentHash: hash,
+        // Raw text the features were extracted from, kept so extraction can be re-run offline
+        articleText: articleText,
+        textSource: textSource,
+        features: features,
+        // ok / repaired / failed, plus the reason; failed articles are retried on the next run
+        validation: validation,
+        // Record which provider and model produced the features, and when
+        extractionProvider: job.provider,
+        extractionModel: providers.getProvider(job.provider).models.extract,
+        // Prompt template versions, e.g. { extract: 'extract@1' } (see prompts.js)
+        extractionPrompts: prompts,
+        // Every feature ID this article has had, for the digests
+        knownFeatures: Array.from(new Set([...knownFeatures, ...(validation.status === 'failed' ? [] : features.map(store.featureId))])),
+        // Latency, calls and tokens of this extraction: { durationMs, calls, inputTokens, outputTokens, cost }
+        extractionStats: stats,
+        extractedAt: new Date().toISOString()
+    });
+    await store.save();
+    metrics.recordExtraction(job.provider, validation.status);
+
+    job.completed++;
+    if (validation.status === 'failed') {
+        job.failed++;
+        publish(job, 'progress', `extraction failed ${job.completed}/${job.total}: ${item.title}`);
+        return;
+    }
+    job.extracted++;
+    for (const feature of features) {
+        if (!knownFeatures.has(store.featureId(feature))) {
+            job.newFeatures.push({ articleKey: key, featureName: feature.featureName });
+        }
+    }
+    publish(job, 'progress', `extracted ${job.completed}/${job.total}: ${item.title}`);
+}
+
+async function runJob(job) {
+    try {
+        publish(job, 'progress', `fetching ${feeds.listFeeds().length} RSS feeds...`);
+        const items = await feeds.fetchAllFeeds();
+
+        // Only new or edited items go back through extraction
+        const entries = items.map(item => {
+            const articleContent = item.content || item.contentSnippet;
+            return {
+                item,
+                articleContent,
+                key: store.articleKey(item),
+                hash: store.contentHash(item.title, articleContent)
+            };
+        });
+        const pending = entries.filter(({ key, hash }) => store.needsExtraction(key, hash));
+
+        // Unchanged articles may have shown up in another feed since they were extracted
+        for (const { item, key } of entries) {
+            const stored = store.getArticle(key);
+            if (stored && !pending.some(entry => entry.key === key)) {
+                stored.sources = Array.from(new Set([...(stored.sources || []), ...item.sources]));
+            }
+        }
+        await store.save();
+
+        job.total = pending.length;
+        await runWithConcurrency(pending, INGEST_CONCURRENCY, entry => extractArticle(job, entry));
+
+        // Digest of the features that are new since the last run; webhooks are sent in the background.
+        // The first run into an empty store finds the whole catalogue: that digest is only the baseline.
+        try {
+            const newDigest = await digest.recordDigest(job, job.newFeatures);
+            if (newDigest && newDigest.baseline) {
+                console.log(`[Digest] First run: ${newDigest.id} is the baseline and is not sent to webhooks`);
+            } else if (newDigest) {
+                digest.deliverDigest(newDigest).catch(error => console.error('[Digest] Delivery error:', error.message));
+            }
+        } catch (error) {
+            console.error('[Digest] Could not record the digest:', error.message);
+        }
+
+        job.status = 'done';
+        job.finishedAt = new Date().toISOString();
+        metrics.recordIngestionRun('done');
+        publish(job, 'done', `done: extracted ${job.extracted} new or changed articles` +
+            (job.failed ? `, ${job.failed} failed` : ''));
+
+    } catch (error) {
+        console.error('Error fetching/parsing RSS feed:', error);
+        job.status = 'failed';
+        job.error = 'Error fetching announcements.';
+        job.finishedAt = new Date().toISOString();
+        metrics.recordIngestionRun('failed');
+        publish(job, 'done', `failed: ${job.error}`);
+    }
+}
+
+// Start a job unless one is already running; returns the job's state either way
+function startIngestion(provider) {
+    if (currentJob && currentJob.status === 'running') {
+        return publicState(currentJob);
+    }
+
+    currentJob = {
+        id: Date.now().toString(36),
+        status: 'running',
+        provider: provider,
+        total: 0,
+        started: 0,
+        completed: 0,
+        extracted: 0,
+        failed: 0,
+        newFeatures: [], // { articleKey, featureName } for the digest
+        baseline: store.listArticles().length === 0, // First run: nothing to compare the features with
+        message: null,
+        error: null,
+        startedAt: new Date().toISOString(),
+        finishedAt: null
+    };
+    runJob(currentJob);
+    return publicState(currentJob);
+}
+
+function getCurrentJob() {
+    return publicState(currentJob);
+}
+
+module.exports = { startIngestion, getCurrentJob, events };
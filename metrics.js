@@ -0,0 +1,124 @@
+// metrics.js
+
+const client = require('prom-client');
+const store = require('./store');
+
+// ----------------------------------------------------
+// 📈 PROMETHEUS METRICS
+// Served at /metrics (routes/health.js). Besides the default Node.js process
+// metrics, the app counts feed fetches, extractions, ingestion runs and LLM
+// calls, and times LLM calls including their retries.
+// All names start with "jobkiller_".
+// ----------------------------------------------------
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'jobkiller_' });
+
+const feedFetches = new client.Counter({
+    name: 'jobkiller_feed_fetches_total',
+    help: 'RSS feed fetches, by feed and outcome',
+    labelNames: ['feed', 'status'],
+    registers: [registry]
+});
+
+const feedFetchDuration = new client.Histogram({
+    name: 'jobkiller_feed_fetch_duration_seconds',
+    help: 'Time to fetch and parse one RSS feed',
+    labelNames: ['feed'],
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [registry]
+});
+
+const extractions = new client.Counter({
+    name: 'jobkiller_extractions_total',
+    help: 'Article extractions, by provider and validation status (ok, repaired, failed)',
+    labelNames: ['provider', 'status'],
+    registers: [registry]
+});
+
+const ingestionRuns = new client.Counter({
+    name: 'jobkiller_ingestion_runs_total',
+    help: 'Background ingestion jobs, by outcome',
+    labelNames: ['status'],
+    registers: [registry]
+});
+
+const llmCalls = new client.Counter({
+    name: 'jobkiller_llm_calls_total',
+    help: 'LLM calls, by provider, operation and outcome (after retries)',
+    labelNames: ['provider', 'operation', 'status'],
+    registers: [registry]
+});
+
+const llmRetries = new client.Counter({
+    name: 'jobkiller_llm_retries_total',
+    help: 'LLM call attempts that failed and were retried',
+    labelNames: ['provider', 'operation'],
+    registers: [registry]
+});
+
+const llmDuration = new client.Histogram({
+    name: 'jobkiller_llm_call_duration_seconds',
+    help: 'LLM call latency, including retries and time waiting for a concurrency slot',
+    labelNames: ['provider', 'operation', 'status'],
+    buckets: [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300],
+    registers: [registry]
+});
+
+const llmTokens = new client.Counter({
+    name: 'jobkiller_llm_tokens_total',
+    help: 'Tokens sent to and received from LLMs (estimated where the provider does not report them)',
+    labelNames: ['provider', 'direction'],
+    registers: [registry]
+});
+
+// Read from the store on every scrape
+new client.Gauge({
+    name: 'jobkiller_stored_articles',
+    help: 'Articles in the store',
+    registers: [registry],
+    collect() {
+        this.set(store.isLoaded() ? store.listArticles().length : 0);
+    }
+});
+
+// --- Recording ---
+function recordFeedFetch(feedId, ok, durationMs) {
+    feedFetches.inc({ feed: feedId, status: ok ? 'ok' : 'error' });
+    feedFetchDuration.observe({ feed: feedId }, durationMs / 1000);
+}
+
+function recordExtraction(provider, status) {
+    extractions.inc({ provider, status });
+}
+
+function recordIngestionRun(status) {
+    ingestionRuns.inc({ status });
+}
+
+function recordLLMRetry(provider, operation) {
+    llmRetries.inc({ provider, operation });
+}
+
+// call: { provider, operation, ok, durationMs, inputTokens, outputTokens }
+function recordLLMCall(call) {
+    const labels = { provider: call.provider, operation: call.operation, status: call.ok ? 'ok' : 'error' };
+    llmCalls.inc(labels);
+    llmDuration.observe(labels, call.durationMs / 1000);
+    llmTokens.inc({ provider: call.provider, direction: 'input' }, call.inputTokens || 0);
+    llmTokens.inc({ provider: call.provider, direction: 'output' }, call.outputTokens || 0);
+}
+
+// Text exposition format for /metrics
+function render() {
+    return registry.metrics();
+}
+
+module.exports = {
+    contentType: registry.contentType,
+    render,
+    recordFeedFetch,
+    recordExtraction,
+    recordIngestionRun,
+    recordLLMRetry,
+    recordLLMCall
+};
@@ -0,0 +1,55 @@
+// profiles.js
+
+const fs = require('fs');
+const { config } = require('./config');
+
+// ----------------------------------------------------
+// 🏭 INDUSTRY PROFILES AND 👤 AUDIENCE PERSONAS
+// Both are managed as JSON files (INDUSTRIES_CONFIG / PERSONAS_CONFIG,
+// default profiles/*.json) and shape the guide prompt in aiService.
+//   industry: { id, name, terminology: [], compliance: [], exampleWorkloads: [] }
+//   persona:  { id, name, description, guidance }
+// ----------------------------------------------------
+const INDUSTRIES_CONFIG = config.industriesConfig;
+const PERSONAS_CONFIG = config.personasConfig;
+
+const DEFAULT_INDUSTRY = 'general-tech';
+const DEFAULT_PERSONA = 'sysadmin';
+
+function loadProfiles(file, defaults) {
+    const profiles = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(profiles) || profiles.some(profile => !profile.id || !profile.name)) {
+        throw new Error(`${file} must contain an array of profiles, each with an id and a name.`);
+    }
+    return profiles.map(profile => ({ ...defaults, ...profile }));
+}
+
+const INDUSTRIES = loadProfiles(INDUSTRIES_CONFIG, { terminology: [], compliance: [], exampleWorkloads: [] });
+const PERSONAS = loadProfiles(PERSONAS_CONFIG, { description: '', guidance: '' });
+
+function listIndustries() {
+    return INDUSTRIES;
+}
+
+function listPersonas() {
+    return PERSONAS;
+}
+
+// Accepts an id or a display name, so older ?industry=<name> links keep working.
+// Unknown values become an ad-hoc profile with just that name.
+function resolveIndustry(value) {
+    if (!value) {
+        return INDUSTRIES.find(i => i.id === DEFAULT_INDUSTRY) || INDUSTRIES[0];
+    }
+    const match = INDUSTRIES.find(i => i.id === value || i.name.toLowerCase() === String(value).toLowerCase());
+    return match || { id: String(value), name: String(value), terminology: [], compliance: [], exampleWorkloads: [] };
+}
+
+// Unknown personas fall back to the default technical reader
+function resolvePersona(value) {
+    return PERSONAS.find(p => p.id === value)
+        || PERSONAS.find(p => p.id === DEFAULT_PERSONA)
+        || PERSONAS[0];
+}
+
+module.exports = { listIndustries, listPersonas, resolveIndustry, resolvePersona };
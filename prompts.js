@@ -0,0 +1,92 @@
+// prompts.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const handlebars = require('hbs').create().handlebars; // Separate instance from the view engine
+const { config } = require('./config');
+
+// ----------------------------------------------------
+// 📝 PROMPT TEMPLATES
+// Prompts live in prompts/<name>.hbs (or PROMPTS_DIR) as Handlebars templates
+// with named variables ({{feature.featureName}}, {{useCase}}, {{industry.name}}, ...).
+// Each file starts with a front-matter block giving its version:
+//   ---
+//   version: 3
+//   ---
+// Bump the version whenever the wording changes; it is recorded with every
+// extraction and guide as "<name>@<version>".
+// With PROMPTS_RELOAD=true (default when NODE_ENV=development) changed files
+// are picked up on the next render, without a restart.
+// ----------------------------------------------------
+const PROMPTS_DIR = config.promptsDir;
+const RELOAD = config.promptsReload;
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+const cache = new Map(); // name -> { mtimeMs, version, hash, render }
+
+// Helper for the comma-separated lists in industry profiles
+handlebars.registerHelper('join', (list, separator) => (Array.isArray(list) ? list.join(typeof separator === 'string' ? separator : ', ') : ''));
+
+function parseTemplate(name, source) {
+    const match = source.match(FRONT_MATTER);
+    const meta = {};
+    if (match) {
+        for (const line of match[1].split(/\r?\n/)) {
+            const [field, ...rest] = line.split(':');
+            if (field.trim()) meta[field.trim()] = rest.join(':').trim();
+        }
+    }
+    if (!meta.version) {
+        throw new Error(`Prompt template ${name} has no "version" in its front matter.`);
+    }
+
+    const body = match ? source.slice(match[0].length) : source;
+    return {
+        version: meta.version,
+        // Short content hash, so edits made without a version bump can still be told apart in logs
+        hash: crypto.createHash('sha1').update(body).digest('hex').substring(0, 8),
+        // strict: a misspelt variable fails loudly instead of silently rendering as blank
+        render: handlebars.compile(body, { noEscape: true, strict: true })
+    };
+}
+
+function loadTemplate(name) {
+    const file = path.join(PROMPTS_DIR, `${name}.hbs`);
+    const cached = cache.get(name);
+    if (cached && !RELOAD) return cached;
+
+    const mtimeMs = fs.statSync(file).mtimeMs;
+    if (cached && cached.mtimeMs === mtimeMs) return cached;
+
+    const template = { mtimeMs, ...parseTemplate(name, fs.readFileSync(file, 'utf8')) };
+    cache.set(name, template);
+    if (cached) {
+        console.log(`[Prompts] Reloaded ${name}.hbs (version ${template.version}, ${template.hash})`);
+    }
+    return template;
+}
+
+// Render a named prompt. Returns { text, version } where version is "<name>@<version>".
+function renderPrompt(name, variables) {
+    const template = loadTemplate(name);
+    try {
+        return { text: template.render(variables).trim(), version: `${name}@${template.version}` };
+    } catch (error) {
+        throw new Error(`Prompt template ${name}.hbs could not be rendered: ${error.message}`);
+    }
+}
+
+// Versions of all templates currently on disk (served by GET /api/v1/prompts)
+function listPrompts() {
+    return fs.readdirSync(PROMPTS_DIR)
+        .filter(file => file.endsWith('.hbs'))
+        .map(file => {
+            const name = path.basename(file, '.hbs');
+            const template = loadTemplate(name);
+            return { name, version: template.version, hash: template.hash };
+        });
+}
+
+module.exports = { renderPrompt, listPrompts };
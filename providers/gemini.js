@@ -0,0 +1,85 @@
+// providers/gemini.js
+
+const axios = require('axios');
+const { callLLM } = require('./llmCall');
+const { config } = require('../config');
+
+const GEMINI_KEY = config.gemini.apiKey;
+const GEMINI_BASE_URL = config.gemini.baseUrl;
+
+// Using v1 API model names
+const GEMINI_MODEL_EXTRACT = config.gemini.models.extract;
+const GEMINI_MODEL_GUIDE = config.gemini.models.guide;
+
+// Helper function to call Gemini v1 API directly (bypassing SDK's v1beta).
+// Timeouts, retries and usage accounting come from callLLM.
+async function callGeminiV1API(model, prompt, config = {}, operation = 'generate') {
+    const url = `${GEMINI_BASE_URL}/models/${model}:generateContent`;
+
+    const requestBody = {
+        contents: [{
+            parts: [{
+                text: prompt
+            }]
+        }]
+    };
+
+    if (config.generationConfig) {
+        requestBody.generationConfig = config.generationConfig;
+    }
+
+    return callLLM({ provider: 'gemini', operation, model, prompt }, async (signal) => {
+        try {
+            // The key goes in a header, not the query string, so it never ends up in a logged URL
+            const response = await axios.post(url, requestBody, {
+                headers: { 'Content-Type': 'application/json', 'x-goog-api-key': GEMINI_KEY },
+                signal
+            });
+
+            const usage = response.data.usageMetadata || {};
+            return {
+                text: response.data.candidates[0].content.parts[0].text,
+                inputTokens: usage.promptTokenCount,
+                outputTokens: usage.candidatesTokenCount
+            };
+        } catch (error) {
+            const apiError = error.response && error.response.data && error.response.data.error;
+            console.error(`Gemini API Error: ${apiError && apiError.message ? apiError.message : error.message}`);
+            throw error;
+        }
+    });
+}
+
+module.exports = {
+    name: 'gemini',
+    label: 'Gemini',
+    models: { extract: GEMINI_MODEL_EXTRACT, guide: GEMINI_MODEL_GUIDE },
+    // Longest article text sent in one extraction call; longer articles are chunked
+    maxInputChars: config.gemini.maxInputChars,
+
+    isConfigured() {
+        return !!GEMINI_KEY && GEMINI_KEY !== "YOUR_API_KEY_HERE";
+    },
+
+    // Returns the raw JSON text; parsing is left to aiService
+    async extract(prompt) {
+        const enhancedPrompt = prompt + "\n\nIMPORTANT: Return ONLY valid JSON array format, no other text.";
+        return callGeminiV1API(GEMINI_MODEL_EXTRACT, enhancedPrompt, {
+            generationConfig: { temperature: 0.1 }
+        }, 'extract');
+    },
+
+    async generateGuide(prompt) {
+        return callGeminiV1API(GEMINI_MODEL_GUIDE, prompt, {
+            generationConfig: { temperature: 0.7 }
+        }, 'guide');
+    },
+
+    // Returns the raw JSON text of the infographic data; parsing is left to aiService
+    async generateInfographic(prompt) {
+        const enhancedPrompt = prompt + "\n\nIMPORTANT: Return ONLY a valid JSON object, no other text.";
+        return callGeminiV1API(GEMINI_MODEL_GUIDE, enhancedPrompt, {
+            generationConfig: { temperature: 0.7 }
+        }, 'infographic');
+    }
+};
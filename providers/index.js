@@ -0,0 +1,48 @@
+// providers/index.js
+
+// --- AI Provider Registry ---
+// Every provider implements the same interface:
+//   name, label, models: { extract, guide }, maxInputChars
+//   isConfigured()                                 -> boolean
+//   extract(prompt, { articleText })               -> raw JSON text
+//   generateGuide(prompt, { feature, useCase, industry, persona }) -> HTML text
+//   generateInfographic(prompt, { feature, useCase, industry }) -> raw JSON text (schemas.infographicSchema)
+const { config } = require('../config');
+
+const registry = new Map();
+
+function registerProvider(provider) {
+    registry.set(provider.name, provider);
+}
+
+registerProvider(require('./gemini'));
+registerProvider(require('./openai'));
+registerProvider(require('./local'));
+registerProvider(require('./mock'));
+
+function getProvider(name) {
+    return registry.get(name);
+}
+
+function listProviders() {
+    return Array.from(registry.values());
+}
+
+// Providers that can serve real traffic. The mock provider is always configured, so it
+// only counts when it was chosen with AI_PROVIDER=mock; without any API key nothing is ready.
+function listReadyProviders() {
+    return listProviders().filter(p => p.isConfigured() && (p.name !== 'mock' || defaultProviderName() === 'mock'));
+}
+
+// Default provider comes from AI_PROVIDER, falling back to Gemini
+function defaultProviderName() {
+    return registry.has(config.aiProvider) ? config.aiProvider : 'gemini';
+}
+
+// Map a requested name (e.g. from ?provider=) to a registered provider name
+function resolveProviderName(requested) {
+    const name = (requested || '').toLowerCase();
+    return registry.has(name) ? name : defaultProviderName();
+}
+
+module.exports = { registerProvider, getProvider, listProviders, listReadyProviders, defaultProviderName, resolveProviderName };
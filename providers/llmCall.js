@@ -0,0 +1,184 @@
+// providers/llmCall.js
+
+const usage = require('../usage');
+const metrics = require('../metrics');
+const { config } = require('../config');
+
+// ----------------------------------------------------
+// ⏱️ SHARED LLM CALL WRAPPER
+// Every provider sends its HTTP calls through callLLM(), which adds:
+//   - a timeout per attempt (LLM_TIMEOUT_MS), passed to the request as an AbortSignal
+//   - retries with exponential backoff on 429, 5xx, timeouts and network errors
+//     (LLM_MAX_RETRIES, LLM_RETRY_BASE_MS; a Retry-After header is honoured)
+//   - a cap on concurrent calls per provider (LLM_MAX_CONCURRENCY, or
+//     LLM_MAX_CONCURRENCY_<PROVIDER> for one provider)
+//   - token usage and estimated cost, recorded in usage.js
+//   - call counts and latency for /metrics (metrics.js)
+// ----------------------------------------------------
+const TIMEOUT_MS = config.llm.timeoutMs;
+const MAX_RETRIES = config.llm.maxRetries;
+const RETRY_BASE_MS = config.llm.retryBaseMs;
+const MAX_BACKOFF_MS = 30000;
+const DEFAULT_CONCURRENCY = config.llm.maxConcurrency;
+
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ECONNABORTED', 'ENETUNREACH']);
+
+function concurrencyLimit(provider) {
+    return config.llm.providerConcurrency[provider] || DEFAULT_CONCURRENCY;
+}
+
+// --- Per-provider concurrency cap ---
+const slots = new Map(); // provider -> { active, queue: [resolve, ...] }
+
+function acquireSlot(provider) {
+    const slot = slots.get(provider) || { active: 0, queue: [] };
+    slots.set(provider, slot);
+    if (slot.active < concurrencyLimit(provider)) {
+        slot.active++;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => slot.queue.push(resolve));
+}
+
+function releaseSlot(provider) {
+    const slot = slots.get(provider);
+    const next = slot.queue.shift();
+    if (next) {
+        next(); // Hand the slot straight to the next waiting call
+    } else {
+        slot.active--;
+    }
+}
+
+// Calls currently running and waiting, per provider (for the admin page)
+function concurrencyState() {
+    return Array.from(slots.entries()).map(([provider, slot]) => ({
+        provider, active: slot.active, waiting: slot.queue.length, limit: concurrencyLimit(provider)
+    }));
+}
+
+// --- Error classification ---
+// axios puts the HTTP status on error.response, the openai SDK on error.status
+function httpStatus(error) {
+    return (error.response && error.response.status) || error.status || null;
+}
+
+function retryAfterMs(error) {
+    const headers = (error.response && error.response.headers) || error.headers;
+    if (!headers) return null;
+    const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+    const seconds = parseFloat(value);
+    return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+function isRetryable(error, timedOut) {
+    if (timedOut) return true;
+    const status = httpStatus(error);
+    if (status) return status === 408 || status === 429 || status >= 500;
+    return NETWORK_ERROR_CODES.has(error.code) || error.name === 'APIConnectionError';
+}
+
+function describeError(error, timedOut) {
+    if (timedOut) return `timed out after ${TIMEOUT_MS}ms`;
+    const status = httpStatus(error);
+    return status ? `HTTP ${status}` : (error.code || error.message);
+}
+
+function backoffMs(attempt, error) {
+    const exponential = RETRY_BASE_MS * 2 ** (attempt - 1);
+    const jitter = Math.random() * RETRY_BASE_MS;
+    return Math.min(Math.max(retryAfterMs(error) || 0, exponential + jitter), MAX_BACKOFF_MS);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function recordOutcome(record) {
+    usage.recordCall(record);
+    metrics.recordLLMCall(record);
+}
+
+// Run one LLM request with timeout, retries and the concurrency cap.
+//   call:    { provider, operation, model, prompt }  (prompt is only used to estimate tokens)
+//   request: (signal) => Promise<{ text, inputTokens, outputTokens }>
+// Resolves to the text. After the last failed attempt it rejects with an Error
+// whose message says what went wrong, plus { provider, operation, status, attempts, timedOut, cause }.
+async function callLLM(call, request) {
+    const startedAt = Date.now();
+    let attempt = 0;
+    let wait = 0;
+
+    while (true) {
+        // Back off before a retry; the slot is not held while waiting
+        if (wait > 0) await sleep(wait);
+        attempt++;
+        await acquireSlot(call.provider);
+
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, TIMEOUT_MS);
+
+        try {
+            const result = await request(controller.signal);
+            const estimatedTokens = result.inputTokens == null || result.outputTokens == null;
+            recordOutcome({
+                provider: call.provider,
+                operation: call.operation,
+                model: call.model,
+                ok: true,
+                attempts: attempt,
+                durationMs: Date.now() - startedAt,
+                inputTokens: result.inputTokens != null ? result.inputTokens : usage.estimateTokens(call.prompt),
+                outputTokens: result.outputTokens != null ? result.outputTokens : usage.estimateTokens(result.text),
+                estimatedTokens
+            });
+            return result.text;
+        } catch (error) {
+            const reason = describeError(error, timedOut);
+            if (attempt <= MAX_RETRIES && isRetryable(error, timedOut)) {
+                wait = backoffMs(attempt, error);
+                metrics.recordLLMRetry(call.provider, call.operation);
+                console.warn(`[LLM] ${call.provider} ${call.operation} attempt ${attempt} failed (${reason}); retrying in ${(wait / 1000).toFixed(1)}s`);
+                continue;
+            }
+
+            recordOutcome({
+                provider: call.provider,
+                operation: call.operation,
+                model: call.model,
+                ok: false,
+                attempts: attempt,
+                durationMs: Date.now() - startedAt,
+                inputTokens: 0,
+                outputTokens: 0,
+                estimatedTokens: false,
+                error: reason
+            });
+
+            // Only the status, code and message of the client error are kept: the raw error carries
+            // the request config, and with it URLs and headers that may hold an API key
+            const failure = new Error(`${call.provider} ${call.operation} call failed after ${attempt} attempt${attempt === 1 ? '' : 's'}: ${reason}`);
+            Object.assign(failure, {
+                provider: call.provider,
+                operation: call.operation,
+                status: httpStatus(error),
+                attempts: attempt,
+                timedOut,
+                cause: { status: httpStatus(error), code: error.code || null, message: error.message }
+            });
+            throw failure;
+        } finally {
+            clearTimeout(timer);
+            releaseSlot(call.provider);
+        }
+    }
+}
+
+// Current limits, for the admin page
+function callSettings() {
+    return { timeoutMs: TIMEOUT_MS, maxRetries: MAX_RETRIES, retryBaseMs: RETRY_BASE_MS, defaultConcurrency: DEFAULT_CONCURRENCY };
+}
+
+module.exports = { callLLM, concurrencyState, callSettings };
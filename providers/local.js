@@ -0,0 +1,19 @@
+// providers/local.js
+
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const { config } = require('../config');
+
+// OpenAI-compatible local endpoint (Ollama, vLLM, llama.cpp server, ...).
+// Only considered configured once LOCAL_LLM_BASE_URL is set, e.g. http://localhost:11434/v1 for Ollama.
+module.exports = createOpenAICompatibleProvider({
+    name: 'local',
+    label: `Local (${config.local.model})`,
+    apiKey: config.local.apiKey,
+    baseURL: config.local.baseUrl,
+    models: config.local.models,
+    // Local models usually run with a much smaller context window
+    maxInputChars: config.local.maxInputChars,
+    // Tool calling support varies between local models, so ask for plain JSON instead
+    useTools: config.local.useTools,
+    requiresKey: false
+});
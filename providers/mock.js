@@ -0,0 +1,64 @@
+// providers/mock.js
+
+const fs = require('fs');
+const path = require('path');
+const { callLLM } = require('./llmCall');
+const { config } = require('../config');
+
+// Deterministic, fixture-backed provider for offline development and tests.
+// Fixtures are read on every call so they can be edited without a restart.
+const FIXTURE_DIR = config.mock.fixtureDir;
+
+function readFixture(fileName) {
+    return fs.readFileSync(path.join(FIXTURE_DIR, fileName), 'utf8');
+}
+
+// Replace {{name}} placeholders with values from the call context
+function fillPlaceholders(template, values) {
+    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+}
+
+// First few words of the article, used to tell mock features apart
+function headline(articleText = '') {
+    const text = articleText.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    return text.length > 60 ? `${text.substring(0, 60)}...` : text;
+}
+
+// Mock calls go through callLLM too, so limits and usage accounting work offline
+// (token counts are estimated from the text length)
+function mockCall(operation, prompt, respond) {
+    return callLLM({ provider: 'mock', operation, model: 'mock-fixture', prompt }, async () => ({ text: respond() }));
+}
+
+function guideValues({ feature = {}, useCase = '', industry = '', persona = '' } = {}) {
+    return { featureName: feature.featureName, useCase, industry, persona };
+}
+
+module.exports = {
+    name: 'mock',
+    label: 'Mock (offline)',
+    models: { extract: 'mock-fixture', guide: 'mock-fixture' },
+    // Small on purpose, so chunking is exercised offline too
+    maxInputChars: 4000,
+
+    isConfigured() {
+        return true;
+    },
+
+    async extract(prompt, context = {}) {
+        // JSON-escape the value so it can be dropped into the fixture's JSON strings
+        const value = JSON.stringify(headline(context.articleText)).slice(1, -1);
+        return mockCall('extract', prompt, () => fillPlaceholders(readFixture('extract.json'), { headline: value }));
+    },
+
+    async generateGuide(prompt, context) {
+        return mockCall('guide', prompt, () => fillPlaceholders(readFixture('guide.html'), guideValues(context)));
+    },
+
+    async generateInfographic(prompt, context) {
+        // JSON-escape the values, as for extract
+        const values = Object.fromEntries(Object.entries(guideValues(context))
+            .map(([key, value]) => [key, JSON.stringify(String(value || '')).slice(1, -1)]));
+        return mockCall('infographic', prompt, () => fillPlaceholders(readFixture('infographic.json'), values));
+    }
+};
@@ -0,0 +1,12 @@
+// providers/openai.js
+
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const { config } = require('../config');
+
+module.exports = createOpenAICompatibleProvider({
+    name: 'openai',
+    label: 'ChatGPT (OpenAI)',
+    apiKey: config.openai.apiKey,
+    models: config.openai.models,
+    maxInputChars: config.openai.maxInputChars
+});
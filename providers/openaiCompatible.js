@@ -0,0 +1,95 @@
+// providers/openaiCompatible.js
+
+const OpenAI = require("openai");
+const { openaiExtractionSchema, infographicSchema } = require('../schemas');
+const { callLLM } = require('./llmCall');
+
+// Builds a provider for anything that speaks the OpenAI chat completions API:
+// OpenAI itself, or a local endpoint such as Ollama or vLLM.
+function createOpenAICompatibleProvider({ name, label, apiKey, baseURL, models, maxInputChars, useTools = true, requiresKey = true }) {
+    // Retries are handled by callLLM, so the SDK's own are turned off
+    const client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL, maxRetries: 0 });
+
+    // Send one chat completion through callLLM; pick() turns the response into text
+    function complete(operation, body, pick) {
+        const prompt = body.messages.map(m => m.content).join('\n');
+        return callLLM({ provider: name, operation, model: body.model, prompt }, async (signal) => {
+            const response = await client.chat.completions.create(body, { signal });
+            return {
+                text: pick(response.choices[0].message),
+                inputTokens: response.usage ? response.usage.prompt_tokens : undefined,
+                outputTokens: response.usage ? response.usage.completion_tokens : undefined
+            };
+        });
+    }
+
+    async function chat(operation, model, prompt, temperature) {
+        return complete(operation, {
+            model,
+            messages: [{ role: "user", content: prompt }],
+            temperature,
+        }, message => message.content);
+    }
+
+    // Ask for a tool call with the given schema, falling back to the plain content
+    // for models that answer without one; returns the raw JSON text
+    function callTool(operation, model, prompt, temperature, tool) {
+        return complete(operation, {
+            model,
+            messages: [{ role: "user", content: prompt }],
+            tools: [{ type: "function", function: tool }],
+            tool_choice: { type: "function", function: { name: tool.name } },
+            temperature,
+        }, message => {
+            // Some models answer in plain content even when a tool call was requested
+            if (!message.tool_calls || message.tool_calls.length === 0) {
+                return message.content;
+            }
+            return message.tool_calls[0].function.arguments;
+        });
+    }
+
+    return {
+        name,
+        label,
+        models,
+        maxInputChars,
+
+        isConfigured() {
+            if (!requiresKey) return !!baseURL;
+            return !!apiKey && apiKey !== "YOUR_API_KEY_HERE";
+        },
+
+        // Returns the raw JSON text; parsing is left to aiService
+        async extract(prompt) {
+            if (!useTools) {
+                return chat('extract', models.extract, prompt + "\n\nIMPORTANT: Return ONLY valid JSON array format, no other text.", 0.1);
+            }
+
+            return callTool('extract', models.extract, prompt, 0.1, {
+                name: "extract_features",
+                description: "Extracts product features and use cases from a Red Hat announcement article.",
+                parameters: openaiExtractionSchema,
+            });
+        },
+
+        async generateGuide(prompt) {
+            return chat('guide', models.guide, prompt, 0.7);
+        },
+
+        // Returns the raw JSON text of the infographic data; parsing is left to aiService
+        async generateInfographic(prompt) {
+            if (!useTools) {
+                return chat('infographic', models.guide, prompt + "\n\nIMPORTANT: Return ONLY a valid JSON object, no other text.", 0.7);
+            }
+
+            return callTool('infographic', models.guide, prompt, 0.7, {
+                name: "build_infographic",
+                description: "Provides the content of a business value infographic: before/after, key metrics and adoption steps.",
+                parameters: infographicSchema,
+            });
+        }
+    };
+}
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,315 @@
+const express = require('express');
+const providers = require('../providers');
+const store = require('../store');
+const profiles = require('../profiles');
+const prompts = require('../prompts');
+const usage = require('../usage');
+const search = require('../search');
+const digest = require('../digest');
+const { extractionFailed, displayedArticles, guidePath, shownGuideVersion, resolveGuideTarget, generateGuideVersion } = require('../guideService');
+const { sanitizeGuideHtml } = require('../sanitize');
+const infographic = require('../infographic');
+
+const router = express.Router();
+router.use(express.json());
+
+/* Versioned JSON API, mounted at /api/v1.
+ * Serves the same store data as the / and /guide pages.
+ * Errors are always returned as { error: { status, message } }. */
+
+function sendError(res, status, message) {
+    res.status(status).json({ error: { status, message } });
+}
+
+function apiBase(article, feature) {
+    return `/api/v1/articles/${store.articleId(article)}` + (feature ? `/features/${store.featureId(feature)}` : '');
+}
+
+function featureJson(article, feature) {
+    return {
+        id: store.featureId(feature),
+        featureName: feature.featureName,
+        featureSummary: feature.featureSummary,
+        useCases: (feature.potentialUseCases || []).map(useCase => ({
+            id: store.useCaseId(useCase),
+            text: useCase,
+            guidePath: guidePath(article, feature, useCase),
+            guideApiPath: `${apiBase(article, feature)}/use-cases/${store.useCaseId(useCase)}/guide`
+        }))
+    };
+}
+
+function articleJson(article) {
+    return {
+        id: store.articleId(article),
+        title: article.title,
+        pubDate: article.pubDate,
+        link: article.link,
+        sources: article.sources || [],
+        extraction: {
+            provider: article.extractionProvider,
+            model: article.extractionModel,
+            extractedAt: article.extractedAt,
+            prompts: article.extractionPrompts || null,
+            status: article.validation ? article.validation.status : null,
+            reason: article.validation ? article.validation.reason : null
+        },
+        features: extractionFailed(article) ? [] : (article.features || []).map(feature => featureJson(article, feature))
+    };
+}
+
+function guideJson(target, guide, shown) {
+    const shownInfographic = infographic.infographicView(shown);
+    return {
+        articleId: store.articleId(target.article),
+        featureId: store.featureId(target.feature),
+        useCaseId: store.useCaseId(target.useCase),
+        featureName: target.feature.featureName,
+        useCase: target.useCase,
+        industry: target.industry.id,
+        persona: target.persona.id,
+        provider: target.provider,
+        guidePath: guidePath(target.article, target.feature, target.useCase),
+        activeVersion: guide.activeVersion,
+        version: {
+            version: shown.version,
+            model: shown.model,
+            generatedAt: shown.generatedAt,
+            prompts: shown.prompts || null,
+            html: sanitizeGuideHtml(shown.html),
+            // Structured data (null for versions with legacy model HTML only), with the user's edits applied
+            infographic: shownInfographic.data,
+            infographicEdited: shownInfographic.edited,
+            infographicHtml: shownInfographic.html
+        },
+        versions: guide.versions.map(v => ({ version: v.version, model: v.model, generatedAt: v.generatedAt, prompts: v.prompts || null }))
+    };
+}
+
+// Look up an article (and optionally a feature) from the route params; sends a 404 and returns null if missing
+function findArticleAndFeature(req, res) {
+    const { article, feature } = store.findGuideTarget(req.params.articleId, req.params.featureId, null);
+    if (!article) {
+        sendError(res, 404, 'Article not found.');
+        return null;
+    }
+    if (req.params.featureId && !feature) {
+        sendError(res, 404, 'Feature not found.');
+        return null;
+    }
+    return { article, feature };
+}
+
+// Resolve the guide target from params plus industry/persona/provider in the query or JSON body
+function findGuideTarget(req, res) {
+    const options = { ...req.query, ...(req.body || {}) };
+    if (options.provider && !providers.getProvider(options.provider)) {
+        sendError(res, 400, `Unknown provider "${options.provider}". Available: ${providers.listProviders().map(p => p.name).join(', ')}.`);
+        return null;
+    }
+
+    const target = resolveGuideTarget(req.params, {
+        industry: options.industry,
+        persona: options.persona,
+        provider: options.provider,
+        fallbackProvider: providers.defaultProviderName()
+    });
+    if (target.error) {
+        sendError(res, target.error.status, target.error.message);
+        return null;
+    }
+    return target;
+}
+
+/* GET industry profiles and audience personas for guide generation. */
+router.get('/profiles', (req, res) => {
+    res.json({ industries: profiles.listIndustries(), personas: profiles.listPersonas() });
+});
+
+/* GET prompt templates and their current versions. */
+router.get('/prompts', (req, res) => {
+    res.json({ prompts: prompts.listPrompts() });
+});
+
+/* GET LLM usage: daily totals per provider and the most recent calls. */
+router.get('/usage', (req, res) => {
+    res.json({ currency: usage.currency, days: usage.dailyTotals(), recentCalls: usage.listRecentCalls() });
+});
+
+/* GET digests of newly extracted features, newest first. */
+router.get('/digests', (req, res) => {
+    res.json({
+        digests: store.listDigests().map(d => ({ id: d.id, createdAt: d.createdAt, provider: d.provider, baseline: !!d.baseline, featureCount: digest.featureCount(d), deliveries: d.deliveries }))
+    });
+});
+
+// "latest" resolves to the newest digest
+function findDigest(req, res) {
+    const found = req.params.digestId === 'latest' ? store.listDigests()[0] : store.getDigest(req.params.digestId);
+    if (!found) sendError(res, 404, 'Digest not found.');
+    return found;
+}
+
+/* GET one digest as the generic webhook payload (?format=slack for the Slack payload). */
+router.get('/digests/:digestId', (req, res) => {
+    const found = findDigest(req, res);
+    if (!found) return;
+    res.json(req.query.format === 'slack' ? digest.slackPayload(found) : digest.jsonPayload(found));
+});
+
+/* POST send a digest to the configured webhooks again, e.g. to test a receiver. */
+router.post('/digests/:digestId/deliver', async (req, res, next) => {
+    const found = findDigest(req, res);
+    if (!found) return;
+    try {
+        const deliveries = await digest.deliverDigest(found);
+        if (deliveries.length === 0) {
+            return sendError(res, 409, 'No webhooks configured. Set DIGEST_WEBHOOK_URL and/or DIGEST_SLACK_WEBHOOK_URL.');
+        }
+        res.json({ deliveries });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/* GET registered AI providers. */
+router.get('/providers', (req, res) => {
+    res.json({
+        default: providers.defaultProviderName(),
+        providers: providers.listProviders().map(p => ({ name: p.name, label: p.label, models: p.models, configured: p.isConfigured() }))
+    });
+});
+
+/* GET articles with their features. Search and filter with ?q=, ?source=<feed id>, ?from= and ?to=
+ * (YYYY-MM-DD); with ?q= only the matching features are listed. */
+router.get('/articles', (req, res) => {
+    const filters = search.parseFilters(req.query);
+    if (filters.errors.length > 0) {
+        return sendError(res, 400, filters.errors.join(' '));
+    }
+    const articles = search.searchArticles(displayedArticles(), filters).map(articleJson);
+    res.json({ articles });
+});
+
+/* GET one article. */
+router.get('/articles/:articleId', (req, res) => {
+    const found = findArticleAndFeature(req, res);
+    if (!found) return;
+    res.json({ article: articleJson(found.article) });
+});
+
+/* GET one feature. */
+router.get('/articles/:articleId/features/:featureId', (req, res) => {
+    const found = findArticleAndFeature(req, res);
+    if (!found) return;
+    res.json({ article: { id: store.articleId(found.article), title: found.article.title, link: found.article.link }, feature: featureJson(found.article, found.feature) });
+});
+
+/* GET a stored guide (?industry=, ?persona=, ?provider=, ?version=). Does not generate; POST for that. */
+router.get('/articles/:articleId/features/:featureId/use-cases/:useCaseId/guide', (req, res) => {
+    const target = findGuideTarget(req, res);
+    if (!target) return;
+
+    const guide = store.getGuide(target.key);
+    if (!guide) {
+        return sendError(res, 404, 'No guide has been generated for this use case, industry, persona and provider yet. POST to this URL to generate one.');
+    }
+
+    const shown = shownGuideVersion(guide, req.query.version);
+    if (!shown) {
+        return sendError(res, 404, 'Guide version not found.');
+    }
+    res.json({ guide: guideJson(target, guide, shown) });
+});
+
+/* POST generate a guide (or a new version of it). industry/persona/provider come from the query or JSON body. */
+router.post('/articles/:articleId/features/:featureId/use-cases/:useCaseId/guide', async (req, res, next) => {
+    const target = findGuideTarget(req, res);
+    if (!target) return;
+
+    try {
+        const { guide, result } = await generateGuideVersion(target);
+        if (!guide) {
+            return sendError(res, 502, `The ${target.provider} provider could not generate the guide (${result.error}). Earlier versions are unchanged.`);
+        }
+        const shown = guide.versions.find(v => v.version === guide.activeVersion);
+        res.status(201).json({ guide: guideJson(target, guide, shown) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// The stored guide and the version picked with ?version= (default: the active one); sends a 404 and returns null if missing
+function findGuideVersion(req, res, target) {
+    const guide = store.getGuide(target.key);
+    if (!guide) {
+        sendError(res, 404, 'No guide has been generated for this use case, industry, persona and provider yet.');
+        return null;
+    }
+    const shown = shownGuideVersion(guide, req.query.version);
+    if (!shown) {
+        sendError(res, 404, 'Guide version not found.');
+        return null;
+    }
+    return { guide, shown };
+}
+
+/* PUT corrected infographic data for a guide version (?version=, default the active one).
+ * The body has the same shape as version.infographic and is checked against the same schema. */
+router.put('/articles/:articleId/features/:featureId/use-cases/:useCaseId/guide/infographic', async (req, res, next) => {
+    const target = findGuideTarget(req, res);
+    if (!target) return;
+    const found = findGuideVersion(req, res, target);
+    if (!found) return;
+    if (!found.shown.infographic) {
+        return sendError(res, 409, 'This guide version has no structured infographic to edit. Generate a new version first.');
+    }
+
+    const { data, problems } = infographic.parseEdits(req.body || {});
+    if (!data) {
+        return sendError(res, 400, `Invalid infographic: ${problems.slice(0, 5).join('; ')}.`);
+    }
+    try {
+        store.setGuideInfographicEdits(target.key, found.shown.version, data);
+        await store.save();
+        res.json({ guide: guideJson(target, found.guide, found.shown) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/* DELETE the edits to a guide version's infographic, going back to the generated data. */
+router.delete('/articles/:articleId/features/:featureId/use-cases/:useCaseId/guide/infographic', async (req, res, next) => {
+    const target = findGuideTarget(req, res);
+    if (!target) return;
+    const found = findGuideVersion(req, res, target);
+    if (!found) return;
+    try {
+        store.setGuideInfographicEdits(target.key, found.shown.version, null);
+        await store.save();
+        res.json({ guide: guideJson(target, found.guide, found.shown) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/* Unknown API routes and unexpected errors get JSON bodies too. */
+router.use((req, res) => {
+    sendError(res, 404, `No API route for ${req.method} ${req.originalUrl}.`);
+});
+
+router.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'Request body is not valid JSON.');
+    }
+    // Client errors raised by middleware, such as a body that is too large (413) or in an
+    // unsupported encoding (415), keep their status
+    const status = error.status || error.statusCode;
+    if (status >= 400 && status < 500) {
+        return sendError(res, status, error.expose ? error.message : 'Bad request.');
+    }
+    console.error('[API] Error:', error);
+    sendError(res, 500, 'Internal server error.');
+});
+
+module.exports = router;
@@ -0,0 +1,185 @@
+const express = require('express');
+const providers = require('../providers');
+const store = require('../store');
+const usage = require('../usage');
+const compare = require('../compare');
+const { resolveGuideTarget, generateGuideVersion } = require('../guideService');
+const { sanitizeGuideHtml } = require('../sanitize');
+const infographic = require('../infographic');
+
+const router = express.Router();
+
+/* Provider comparison pages, mounted at /compare.
+ * ?a= and ?b= pick the two providers; by default the article's own
+ * extraction provider against the first other configured provider. */
+
+function comparedProviders(req, article) {
+    const a = providers.getProvider(req.query.a) ? req.query.a : (article.extractionProvider || providers.defaultProviderName());
+    const others = providers.listProviders().filter(p => p.name !== a);
+    const b = providers.getProvider(req.query.b) && req.query.b !== a
+        ? req.query.b
+        : (others.find(p => p.isConfigured()) || others[0]).name;
+    return [a, b];
+}
+
+function compareQuery(a, b, req) {
+    const params = new URLSearchParams({ a, b });
+    if (req.query.industry) params.set('industry', req.query.industry);
+    if (req.query.persona) params.set('persona', req.query.persona);
+    return params.toString();
+}
+
+function statsView(stats) {
+    if (!stats) return null;
+    return {
+        ...stats,
+        seconds: (stats.durationMs / 1000).toFixed(1),
+        costText: `${stats.cost.toFixed(4)} ${usage.currency}`
+    };
+}
+
+function providerView(name, extra) {
+    const provider = providers.getProvider(name);
+    return { name, label: provider.label, configured: provider.isConfigured(), ...extra };
+}
+
+// Only providers that can take calls may be run; sends a 400 and returns false otherwise
+function checkConfigured(res, names) {
+    const missing = names.filter(name => !providers.getProvider(name).isConfigured());
+    if (missing.length > 0) {
+        res.status(400).send(`Not configured: ${missing.join(', ')}. Check the provider settings in your .env file.`);
+        return false;
+    }
+    return true;
+}
+
+function findArticle(req, res) {
+    const { article } = store.findGuideTarget(req.params.articleId, null, null);
+    if (!article) {
+        res.status(404).send('Article not found in cache.');
+        return null;
+    }
+    return article;
+}
+
+/* GET the extraction comparison for one article. */
+router.get('/:articleId', (req, res) => {
+    const article = findArticle(req, res);
+    if (!article) return;
+
+    const [a, b] = comparedProviders(req, article);
+    const left = compare.getRun(article, a);
+    const right = compare.getRun(article, b);
+    const rows = left && right ? compare.diffFeatures(left.features, right.features) : [];
+
+    res.render('compare', {
+        title: `Compare providers: ${article.title}`,
+        articleId: req.params.articleId,
+        articleTitle: article.title,
+        articleLink: article.link,
+        hasArticleText: !!article.articleText,
+        query: compareQuery(a, b, req),
+        providerChoices: providers.listProviders().map(p => ({ name: p.name, label: p.label, selectedA: p.name === a, selectedB: p.name === b })),
+        left: providerView(a, { run: left, stats: statsView(left && left.stats) }),
+        right: providerView(b, { run: right, stats: statsView(right && right.stats) }),
+        rows: rows,
+        summary: left && right ? compare.diffSummary(rows) : null
+    });
+});
+
+/* POST run extraction with both providers on the stored article text. */
+router.post('/:articleId', async (req, res) => {
+    const article = findArticle(req, res);
+    if (!article) return;
+    if (!article.articleText) {
+        return res.status(409).send('This article has no stored text yet. Refresh the announcements first.');
+    }
+
+    const [a, b] = comparedProviders(req, article);
+    if (!checkConfigured(res, [a, b])) return;
+
+    try {
+        console.log(`[Compare] Extracting "${article.title}" with ${a} and ${b}...`);
+        await Promise.all([compare.runExtraction(article, a), compare.runExtraction(article, b)]);
+        await store.save();
+        res.redirect(303, `/compare/${req.params.articleId}?${compareQuery(a, b, req)}`);
+    } catch (error) {
+        console.error('Error comparing providers:', error);
+        res.status(500).send('Error running the comparison.');
+    }
+});
+
+// Guide targets for both providers, or null after sending the error response
+function resolveGuidePair(req, res) {
+    const { article } = store.findGuideTarget(req.params.articleId, null, null);
+    if (!article) {
+        res.status(404).send('Article not found in cache.');
+        return null;
+    }
+    const [a, b] = comparedProviders(req, article);
+    const targets = [a, b].map(provider => resolveGuideTarget(req.params, {
+        industry: req.query.industry,
+        persona: req.query.persona,
+        provider
+    }));
+    const failed = targets.find(target => target.error);
+    if (failed) {
+        res.status(failed.error.status).send(failed.error.message);
+        return null;
+    }
+    return { a, b, targets };
+}
+
+function guideSide(target) {
+    const guide = store.getGuide(target.key);
+    const version = guide && guide.versions.find(v => v.version === guide.activeVersion);
+    return providerView(target.provider, {
+        version: version ? {
+            version: version.version,
+            model: version.model,
+            generatedAt: version.generatedAt,
+            guideHtml: sanitizeGuideHtml(version.html),
+            infographicHtml: infographic.infographicView(version).html
+        } : null,
+        stats: statsView(version && version.stats)
+    });
+}
+
+/* GET the current guide versions of both providers side by side. */
+router.get('/:articleId/guide/:featureId/:useCaseId', (req, res) => {
+    const pair = resolveGuidePair(req, res);
+    if (!pair) return;
+
+    const [left, right] = pair.targets;
+    res.render('compare-guide', {
+        title: `Compare guides: ${left.feature.featureName}`,
+        articleId: req.params.articleId,
+        articleTitle: left.article.title,
+        featureName: left.feature.featureName,
+        useCase: left.useCase,
+        targetIndustry: left.industry.name,
+        targetPersona: left.persona.name,
+        actionPath: req.baseUrl + req.path,
+        query: compareQuery(pair.a, pair.b, req),
+        left: guideSide(left),
+        right: guideSide(right)
+    });
+});
+
+/* POST generate a new guide version with both providers. */
+router.post('/:articleId/guide/:featureId/:useCaseId', async (req, res) => {
+    const pair = resolveGuidePair(req, res);
+    if (!pair) return;
+    if (!checkConfigured(res, [pair.a, pair.b])) return;
+
+    try {
+        // Failures leave that provider's earlier versions in place; the page shows what is stored
+        await Promise.all(pair.targets.map(target => generateGuideVersion(target)));
+        res.redirect(303, `${req.baseUrl}${req.path}?${compareQuery(pair.a, pair.b, req)}`);
+    } catch (error) {
+        console.error('Error comparing guides:', error);
+        res.status(500).send('Error generating the guides.');
+    }
+});
+
+module.exports = router;
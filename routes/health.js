@@ -0,0 +1,41 @@
+const express = require('express');
+const providers = require('../providers');
+const store = require('../store');
+const metrics = require('../metrics');
+
+const router = express.Router();
+
+/* Probe and monitoring endpoints, mounted at /.
+ * /healthz  liveness: the process is up and answering
+ * /readyz   readiness: the store is loaded and at least one provider is configured
+ * /metrics  Prometheus text format (metrics.js) */
+
+router.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+router.get('/readyz', (req, res) => {
+    const configured = providers.listReadyProviders().map(p => p.name);
+    const checks = {
+        store: store.isLoaded(),
+        providers: configured.length > 0
+    };
+    const ready = checks.store && checks.providers;
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'not ready',
+        checks,
+        configuredProviders: configured
+    });
+});
+
+router.get('/metrics', async (req, res) => {
+    try {
+        res.set('Content-Type', metrics.contentType);
+        res.send(await metrics.render());
+    } catch (error) {
+        console.error('Error collecting metrics:', error);
+        res.status(500).send('Error collecting metrics.');
+    }
+});
+
+module.exports = router;
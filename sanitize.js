@@ -0,0 +1,82 @@
+// sanitize.js
+
+const sanitizeHtml = require('sanitize-html');
+
+// ----------------------------------------------------
+// 🧼 ALLOW-LIST SANITIZER FOR MODEL-GENERATED MARKUP
+// guide.hbs renders guideHtml and infographicHtml unescaped, so both are
+// reduced to a known-safe set of tags and attributes first. Anything not
+// listed (script, iframe, object, form, img, on* handlers, ...) is dropped.
+// ----------------------------------------------------
+
+const TEXT_TAGS = [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote',
+    'ul', 'ol', 'li', 'strong', 'b', 'em', 'i', 'u', 'small', 'sub', 'sup',
+    'code', 'pre', 'span', 'div', 'section',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+];
+
+// Style values are allow-listed rather than checked for known-bad functions: CSS escapes
+// (\75rl), quoted URLs and functions such as url(), image-set() or expression() could all
+// load a resource or run script. So a value may not contain a backslash or a quote, and
+// the only functions it may use are the colour and length ones below (without nesting).
+const SAFE_STYLE_VALUE = /^(?:[^\\'"()]|\b(?:rgba?|hsla?|calc)\([^\\'"()]*\))*$/i;
+
+// The CSS properties the infographic prompt asks for (layout, boxes, colors, text).
+// Positioning is left out so the markup cannot overlay the rest of the page.
+const INFOGRAPHIC_STYLE_PROPERTIES = [
+    'display', 'float', 'clear',
+    'flex', 'flex-direction', 'flex-wrap', 'flex-grow', 'flex-shrink', 'flex-basis', 'flex-flow',
+    'justify-content', 'align-items', 'align-self', 'align-content', 'order', 'gap', 'row-gap', 'column-gap',
+    'grid', 'grid-template-columns', 'grid-template-rows', 'grid-template-areas', 'grid-column', 'grid-row', 'grid-area', 'grid-gap',
+    'width', 'height', 'min-width', 'min-height', 'max-width', 'max-height', 'box-sizing', 'overflow', 'overflow-x', 'overflow-y',
+    'margin', 'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+    'padding', 'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+    'border', 'border-top', 'border-right', 'border-bottom', 'border-left', 'border-color', 'border-width', 'border-style',
+    'border-radius', 'box-shadow', 'outline', 'opacity',
+    'background', 'background-color', 'color',
+    'font', 'font-family', 'font-size', 'font-weight', 'font-style', 'line-height', 'letter-spacing',
+    'text-align', 'text-transform', 'text-decoration', 'text-shadow', 'white-space', 'word-wrap', 'word-break', 'overflow-wrap',
+    'vertical-align', 'list-style', 'list-style-type'
+];
+
+const INFOGRAPHIC_ALLOWED_STYLES = {
+    '*': Object.fromEntries(INFOGRAPHIC_STYLE_PROPERTIES.map(property => [property, [SAFE_STYLE_VALUE]]))
+};
+
+// The guide is plain text content: links are allowed, styles and images are not
+const GUIDE_OPTIONS = {
+    allowedTags: [...TEXT_TAGS, 'a'],
+    allowedAttributes: {
+        a: ['href', 'title', 'target', 'rel'],
+        th: ['colspan', 'rowspan'],
+        td: ['colspan', 'rowspan']
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowProtocolRelative: false,
+    transformTags: {
+        a: sanitizeHtml.simpleTransform('a', { target: '_blank', rel: 'noopener noreferrer' })
+    }
+};
+
+// The infographic relies on inline styles, but has no use for links
+const INFOGRAPHIC_OPTIONS = {
+    allowedTags: TEXT_TAGS,
+    allowedAttributes: {
+        '*': ['style'],
+        th: ['colspan', 'rowspan'],
+        td: ['colspan', 'rowspan']
+    },
+    allowedStyles: INFOGRAPHIC_ALLOWED_STYLES,
+    allowedSchemes: []
+};
+
+function sanitizeGuideHtml(html) {
+    return html ? sanitizeHtml(html, GUIDE_OPTIONS) : html;
+}
+
+function sanitizeInfographicHtml(html) {
+    return html ? sanitizeHtml(html, INFOGRAPHIC_OPTIONS) : html;
+}
+
+module.exports = { sanitizeGuideHtml, sanitizeInfographicHtml };
@@ -0,0 +1,131 @@
+// schemas.js
+
+// 1. Define the schema for a single Feature Object
+const featureObjectSchema = {
+    type: "object",
+    properties: {
+        featureName: { type: "string", description: "A concise, descriptive title for the product update or feature." },
+        featureSummary: { type: "string", description: "A 2-3 sentence technical summary of what the new feature does or how the update works." },
+        potentialUseCases: {
+            type: "array",
+            items: { type: "string" },
+            description: "List three distinct, real-world use cases that this feature could address."
+        }
+    },
+    required: ["featureName", "featureSummary", "potentialUseCases"]
+};
+
+// 2. Define the TOP-LEVEL schema for Gemini (array)
+const geminiExtractionSchema = {
+    type: "array",
+    items: featureObjectSchema
+};
+
+// 3. Define the TOP-LEVEL schema for OpenAI (object wrapper)
+const openaiExtractionSchema = {
+    type: "object",
+    properties: {
+        extractedFeatures: { // <-- Key to hold the array
+            type: "array",
+            description: "A list of all extracted technical features and their associated use cases.",
+            items: featureObjectSchema
+        }
+    },
+    required: ["extractedFeatures"]
+};
+
+// 4. Schema for the structured infographic data (rendered by views/partials/infographic.hbs).
+// The limits keep the layout from overflowing: short texts and a few items per block.
+const shortText = maxLength => ({ type: "string", minLength: 1, maxLength });
+
+const infographicSideSchema = {
+    type: "object",
+    properties: {
+        heading: shortText(40),
+        points: { type: "array", minItems: 1, maxItems: 4, items: shortText(120) }
+    },
+    required: ["heading", "points"]
+};
+
+const infographicSchema = {
+    type: "object",
+    properties: {
+        title: { ...shortText(80), description: "Headline stating the business value in a few words." },
+        before: { ...infographicSideSchema, description: "The situation without the feature: a short heading and up to 4 pain points." },
+        after: { ...infographicSideSchema, description: "The situation with the feature: a short heading and up to 4 improvements." },
+        metrics: {
+            type: "array",
+            minItems: 1,
+            maxItems: 4,
+            description: "Key metrics. Only use figures that are plausible for the use case; prefer ranges or qualitative values over invented precision.",
+            items: {
+                type: "object",
+                properties: {
+                    value: shortText(16),
+                    label: shortText(60)
+                },
+                required: ["value", "label"]
+            }
+        },
+        flow: {
+            type: "array",
+            minItems: 2,
+            maxItems: 5,
+            description: "How the feature is adopted, as ordered steps.",
+            items: {
+                type: "object",
+                properties: {
+                    step: shortText(40),
+                    detail: shortText(120)
+                },
+                required: ["step", "detail"]
+            }
+        }
+    },
+    required: ["title", "before", "after", "metrics", "flow"]
+};
+
+// Minimal validator for the subset of JSON Schema used above (object, array,
+// string, required, min/maxItems, min/maxLength). Returns a list of problems;
+// an empty list means valid.
+function validateAgainstSchema(value, schema, where = 'result') {
+    if (schema.type === 'array') {
+        if (!Array.isArray(value)) {
+            return [`${where} should be an array`];
+        }
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            return [`${where} should have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`];
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            return [`${where} should have at most ${schema.maxItems} items`];
+        }
+        return value.flatMap((item, i) => validateAgainstSchema(item, schema.items, `${where}[${i}]`));
+    }
+
+    if (schema.type === 'object') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return [`${where} should be an object`];
+        }
+        const missing = (schema.required || []).filter(key => value[key] === undefined)
+            .map(key => `${where}.${key} is missing`);
+        const invalid = Object.keys(schema.properties || {}).filter(key => value[key] !== undefined)
+            .flatMap(key => validateAgainstSchema(value[key], schema.properties[key], `${where}.${key}`));
+        return [...missing, ...invalid];
+    }
+
+    if (schema.type === 'string') {
+        if (typeof value !== 'string') {
+            return [`${where} should be a string`];
+        }
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            return [`${where} should not be empty`];
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            return [`${where} should be at most ${schema.maxLength} characters`];
+        }
+    }
+
+    return [];
+}
+
+module.exports = { featureObjectSchema, geminiExtractionSchema, openaiExtractionSchema, infographicSchema, validateAgainstSchema };
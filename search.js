@@ -0,0 +1,137 @@
+// search.js
+
+const feeds = require('./feeds');
+
+// ----------------------------------------------------
+// 🔎 SEARCH AND FILTERS
+// Runs server-side over the stored extraction data, for both the index page
+// and GET /api/v1/articles. Filters come straight from the query string:
+//   ?q=<words or "a phrase">&source=<feed id>&from=YYYY-MM-DD&to=YYYY-MM-DD
+// Every search term has to appear in the article title or in one feature's
+// name, summary or use cases. Only the matching features are returned.
+// ----------------------------------------------------
+
+// Lower-cased, accent-free text per article, built once per stored article object.
+// The store replaces the object when an article is re-extracted, which drops its entry.
+const searchIndex = new WeakMap();
+
+function normalize(text) {
+    return (text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function indexFor(article) {
+    let entry = searchIndex.get(article);
+    if (!entry) {
+        entry = {
+            title: normalize(article.title),
+            features: (article.features || []).map(feature => normalize([
+                feature.featureName,
+                feature.featureSummary,
+                ...(feature.potentialUseCases || [])
+            ].join('\n')))
+        };
+        searchIndex.set(article, entry);
+    }
+    return entry;
+}
+
+// Words and "quoted phrases"
+function parseTerms(q) {
+    const terms = [];
+    for (const match of normalize(q).matchAll(/"([^"]+)"|(\S+)/g)) {
+        const term = (match[1] || match[2]).trim();
+        if (term) terms.push(term);
+    }
+    return terms;
+}
+
+// YYYY-MM-DD as a UTC timestamp; `to` dates include the whole day.
+// Date.parse rolls days past the end of the month over (2025-02-30 is March 2), so those are rejected.
+function parseDay(value, endOfDay) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return null;
+    const time = Date.parse(`${value}T00:00:00Z`);
+    if (Number.isNaN(time) || new Date(time).toISOString().substring(0, 10) !== value) return null;
+    return endOfDay ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+// Read the filters from a query object. Invalid values are dropped and listed in `errors`,
+// so the page can still render and the API can answer 400.
+function parseFilters(query = {}) {
+    const filters = { q: '', terms: [], source: null, from: null, to: null, errors: [] };
+
+    if (typeof query.q === 'string' && query.q.trim()) {
+        filters.q = query.q.trim();
+        filters.terms = parseTerms(filters.q);
+    }
+
+    if (query.source) {
+        if (feeds.getFeed(query.source)) {
+            filters.source = query.source;
+        } else {
+            filters.errors.push(`Unknown source "${query.source}".`);
+        }
+    }
+
+    for (const field of ['from', 'to']) {
+        if (!query[field]) continue;
+        if (parseDay(query[field], field === 'to') === null) {
+            filters.errors.push(`"${field}" must be a date in YYYY-MM-DD format.`);
+        } else {
+            filters[field] = query[field];
+        }
+    }
+    return filters;
+}
+
+function isFiltered(filters) {
+    return filters.terms.length > 0 || !!filters.source || !!filters.from || !!filters.to;
+}
+
+// Apply the filters to stored articles (already sorted).
+// Returns copies of the matching articles whose features list only holds the matching features.
+function searchArticles(articles, filters) {
+    const from = parseDay(filters.from, false);
+    const to = parseDay(filters.to, true);
+
+    const results = [];
+    for (const article of articles) {
+        if (filters.source && !(article.sources || []).includes(filters.source)) continue;
+
+        if (from !== null || to !== null) {
+            const published = Date.parse(article.pubDate);
+            if (Number.isNaN(published)) continue;
+            if (from !== null && published < from) continue;
+            if (to !== null && published > to) continue;
+        }
+
+        if (filters.terms.length === 0) {
+            results.push(article);
+            continue;
+        }
+
+        // A term may match the title or the feature itself, so a title match keeps every feature
+        const index = indexFor(article);
+        const features = (article.features || []).filter((feature, i) =>
+            filters.terms.every(term => index.title.includes(term) || index.features[i].includes(term)));
+
+        if (features.length > 0 || filters.terms.every(term => index.title.includes(term))) {
+            results.push({ ...article, features });
+        }
+    }
+    return results;
+}
+
+// Query string for links that keep the current filters (plus any extra params)
+function filterQuery(filters, extra = {}) {
+    const params = new URLSearchParams();
+    for (const [name, value] of Object.entries(extra)) {
+        if (value) params.set(name, value);
+    }
+    if (filters.q) params.set('q', filters.q);
+    if (filters.source) params.set('source', filters.source);
+    if (filters.from) params.set('from', filters.from);
+    if (filters.to) params.set('to', filters.to);
+    return params.toString();
+}
+
+module.exports = { parseFilters, isFiltered, searchArticles, filterQuery };
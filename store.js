@@ -0,0 +1,251 @@
+// store.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('./config');
+
+// ----------------------------------------------------
+// 💾 PERSISTENT ARTICLE/FEATURE STORE
+// Extraction results are kept in a JSON file on disk so a restart does not
+// re-run the paid extraction calls. Articles are keyed by their RSS guid
+// (or link) and carry a hash of their content, so only new or edited items
+// need to go back through extractFeatures.
+// Structure: { articles: { [key]: { key, title, pubDate, link, sources, contentHash,
+//              articleText, textSource, features, validation, extractionProvider, extractionModel,
+//              extractionPrompts, extractionStats, extractedAt } },
+//              guides: { [guideKey]: { key, articleKey, featureName, useCase,
+//              industry, persona, provider, activeVersion, versions: [...] } },
+//              usage: { [YYYY-MM-DD]: { [provider]: { calls, failures, retries, inputTokens, outputTokens, cost } } },
+//              comparisons: { [articleKey]: { [provider]: { model, features, validation, prompts, stats, ranAt } } },
+//              digests: [{ id, createdAt, jobId, provider, articles: [...], deliveries: [...] }] (newest first) }
+// ----------------------------------------------------
+const DATA_DIR = config.dataDir;
+const STORE_FILE = path.join(DATA_DIR, 'store.json');
+
+let data = { articles: {}, guides: {}, usage: {}, comparisons: {}, digests: [] };
+let loaded = false;
+let pendingWrite = Promise.resolve();
+
+// Stable key for an RSS item: guid if the feed has one, otherwise the link
+function articleKey(item) {
+    return item.guid || item.link;
+}
+
+function shortHash(text, length) {
+    return crypto.createHash('sha1').update(text || '').digest('hex').substring(0, length);
+}
+
+// --- Stable IDs used in guide URLs ---
+// Derived from the article key and the feature/use case text rather than
+// array positions, so links survive refreshes and restarts.
+function articleId(article) {
+    return shortHash(article.key, 12);
+}
+
+function slugify(text) {
+    return (text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 60).replace(/-+$/, '');
+}
+
+// The slug keeps the URL readable; the hash of the full name tells apart features whose
+// names only differ past the 60 characters of the slug, or in case and punctuation
+function featureId(feature) {
+    const slug = slugify(feature.featureName);
+    return slug ? `${slug}-${shortHash(feature.featureName, 6)}` : shortHash(feature.featureName, 10);
+}
+
+// The ID used before the hash was added, still accepted in guide URLs
+function legacyFeatureId(feature) {
+    return slugify(feature.featureName) || shortHash(feature.featureName, 10);
+}
+
+function useCaseId(useCase) {
+    return shortHash(useCase, 10);
+}
+
+function contentHash(...parts) {
+    return crypto.createHash('sha256').update(parts.map(p => p || '').join('\n')).digest('hex');
+}
+
+async function load() {
+    try {
+        const raw = await fs.promises.readFile(STORE_FILE, 'utf8');
+        data = JSON.parse(raw);
+        data.articles = data.articles || {};
+        data.guides = data.guides || {};
+        data.usage = data.usage || {};
+        data.comparisons = data.comparisons || {};
+        data.digests = data.digests || [];
+        migrateFeatureIds();
+        console.log(`[Store] Loaded ${Object.keys(data.articles).length} articles from ${STORE_FILE}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`[Store] Could not read ${STORE_FILE}, starting empty:`, error.message);
+        }
+        data = { articles: {}, guides: {}, usage: {}, comparisons: {}, digests: [] };
+    }
+    loaded = true;
+}
+
+// Stores written before feature IDs carried a hash: move the guides to their new keys
+// and rewrite the known features of each article, so nothing is generated or announced twice
+function migrateFeatureIds() {
+    for (const [key, guide] of Object.entries(data.guides)) {
+        const newKey = guideKey({ key: guide.articleKey }, { featureName: guide.featureName }, guide.useCase, guide.industry, guide.persona, guide.provider);
+        if (newKey !== key && !data.guides[newKey]) {
+            delete data.guides[key];
+            data.guides[newKey] = { ...guide, key: newKey };
+        }
+    }
+    for (const article of Object.values(data.articles)) {
+        if (!article.knownFeatures) continue;
+        article.knownFeatures = article.knownFeatures.map(id => {
+            const feature = (article.features || []).find(f => legacyFeatureId(f) === id);
+            return feature ? featureId(feature) : id;
+        });
+    }
+}
+
+function isLoaded() {
+    return loaded;
+}
+
+// Writes go to a temp file first and are chained, so a crash or two
+// overlapping saves never leave a half-written store behind
+function save() {
+    const snapshot = JSON.stringify(data, null, 2);
+    pendingWrite = pendingWrite.catch(() => {}).then(async () => {
+        await fs.promises.mkdir(DATA_DIR, { recursive: true });
+        const tmpFile = `${STORE_FILE}.tmp`;
+        await fs.promises.writeFile(tmpFile, snapshot);
+        await fs.promises.rename(tmpFile, STORE_FILE);
+    });
+    return pendingWrite;
+}
+
+function getArticle(key) {
+    return data.articles[key];
+}
+
+// True if the item is new, its content changed since it was extracted,
+// or its last extraction failed validation
+function needsExtraction(key, hash) {
+    const stored = data.articles[key];
+    return !stored || stored.contentHash !== hash || (!!stored.validation && stored.validation.status === 'failed');
+}
+
+function upsertArticle(article) {
+    data.articles[article.key] = article;
+    return article;
+}
+
+// Resolve the article, feature and use case behind a stable guide URL
+function findGuideTarget(articleIdParam, featureIdParam, useCaseIdParam) {
+    const article = Object.values(data.articles).find(a => articleId(a) === articleIdParam);
+    const features = (article && article.features) || [];
+    const feature = features.find(f => featureId(f) === featureIdParam) || features.find(f => legacyFeatureId(f) === featureIdParam);
+    const useCase = feature && (feature.potentialUseCases || []).find(u => useCaseId(u) === useCaseIdParam);
+    return { article, feature, useCase };
+}
+
+// --- Generated guides ---
+// One entry per (feature, use case, industry, persona, provider). Every generation is
+// kept as a numbered version; activeVersion is the one served by default.
+function guideKey(article, feature, useCase, industryId, personaId, provider) {
+    return [articleId(article), featureId(feature), useCaseId(useCase), industryId, personaId, provider].join('|');
+}
+
+function getGuide(key) {
+    return data.guides[key];
+}
+
+// Append a new version and make it the active one
+function addGuideVersion(key, details, version) {
+    const guide = data.guides[key] || { key, ...details, activeVersion: 0, versions: [] };
+    const number = guide.versions.length + 1;
+    guide.versions.push({ version: number, ...version });
+    guide.activeVersion = number;
+    data.guides[key] = guide;
+    return guide;
+}
+
+function setActiveGuideVersion(key, number) {
+    const guide = data.guides[key];
+    if (!guide || !guide.versions.some(v => v.version === number)) {
+        return null;
+    }
+    guide.activeVersion = number;
+    return guide;
+}
+
+// Save the user's edits to a version's infographic (null goes back to the generated data).
+// Returns the version, or null if the guide or version does not exist.
+function setGuideInfographicEdits(key, number, edited) {
+    const guide = data.guides[key];
+    const version = guide && guide.versions.find(v => v.version === number);
+    if (!version) {
+        return null;
+    }
+    if (edited) {
+        version.infographicEdited = edited;
+        version.infographicEditedAt = new Date().toISOString();
+    } else {
+        delete version.infographicEdited;
+        delete version.infographicEditedAt;
+    }
+    return version;
+}
+
+// Newest first
+function listArticles() {
+    return Object.values(data.articles).sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate));
+}
+
+// --- LLM usage ---
+// Daily totals per provider, added to after every LLM call (see usage.js)
+function recordUsage(day, provider, totals) {
+    const dayUsage = data.usage[day] || (data.usage[day] = {});
+    const current = dayUsage[provider] || (dayUsage[provider] = { calls: 0, failures: 0, retries: 0, inputTokens: 0, outputTokens: 0, cost: 0 });
+    for (const [field, value] of Object.entries(totals)) {
+        current[field] = (current[field] || 0) + value;
+    }
+    return current;
+}
+
+function getUsage() {
+    return data.usage;
+}
+
+// --- Provider comparison runs ---
+// The latest extraction run per provider for an article. Kept apart from the
+// article's own features, so comparing never changes what the index page shows.
+function getComparison(articleKey) {
+    return data.comparisons[articleKey] || {};
+}
+
+function setComparisonRun(articleKey, provider, run) {
+    const comparison = data.comparisons[articleKey] || (data.comparisons[articleKey] = {});
+    comparison[provider] = run;
+    return comparison;
+}
+
+// --- New feature digests (see digest.js) ---
+const DIGEST_HISTORY = 50;
+
+function addDigest(digest) {
+    data.digests.unshift(digest);
+    data.digests.length = Math.min(data.digests.length, DIGEST_HISTORY);
+    return digest;
+}
+
+function listDigests() {
+    return data.digests;
+}
+
+function getDigest(id) {
+    return data.digests.find(digest => digest.id === id);
+}
+
+module.exports = { articleKey, articleId, featureId, useCaseId, findGuideTarget, contentHash, load, isLoaded, save, getArticle, needsExtraction, upsertArticle, listArticles,
+    guideKey, getGuide, addGuideVersion, setActiveGuideVersion, setGuideInfographicEdits, recordUsage, getUsage,
+    getComparison, setComparisonRun, addDigest, listDigests, getDigest };
@@ -0,0 +1,191 @@
+// test/aiService.test.js
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { startOffline } = require('./helpers/offline');
+
+// Required once the environment points at the replay server
+let offline, replay, aiService;
+
+before(async () => {
+    offline = await startOffline();
+    replay = offline.replay;
+    aiService = require('../aiService');
+    await require('../store').load();
+});
+
+after(() => offline.cleanup());
+
+beforeEach(() => replay.reset());
+
+// Every queued recording was asked for, and nothing else was
+function assertAllReplayed() {
+    assert.deepStrictEqual(replay.unexpected, []);
+    assert.deepStrictEqual(replay.pending(), []);
+}
+
+const feature = {
+    featureName: 'Image mode for RHEL',
+    featureSummary: 'RHEL 10 can be built, deployed and updated as a bootable container image.',
+    potentialUseCases: ['Roll out identical edge devices from one container image']
+};
+const useCase = feature.potentialUseCases[0];
+
+test('extractFeatures reads the features from the tool call', async () => {
+    replay.enqueue('extract', 'openai/extract-rhel-image-mode');
+
+    const result = await aiService.extractFeatures('Image mode for RHEL ...', 'local');
+
+    assertAllReplayed();
+    assert.deepStrictEqual(result.validation, { status: 'ok', reason: null });
+    assert.deepStrictEqual(result.prompts, { extract: 'extract@1' });
+    assert.strictEqual(result.features.length, 1);
+    assert.strictEqual(result.features[0].featureName, 'Image mode for RHEL');
+    assert.strictEqual(result.features[0].potentialUseCases.length, 3);
+    assert.strictEqual(replay.requests[0].body.tool_choice.function.name, 'extract_features');
+});
+
+test('extractFeatures accepts a fenced JSON reply without a tool call', async () => {
+    replay.enqueue('extract', 'openai/extract-ansible-plain-content');
+
+    const result = await aiService.extractFeatures('Ansible Lightspeed ...', 'local');
+
+    assertAllReplayed();
+    assert.strictEqual(result.validation.status, 'ok');
+    assert.strictEqual(result.features[0].featureName, 'Playbook explanations in Ansible Lightspeed');
+});
+
+test('extractFeatures repairs malformed JSON with a second call', async () => {
+    replay.enqueue('extract', 'openai/extract-truncated', 'openai/extract-virt-storage-migration');
+
+    const result = await aiService.extractFeatures('OpenShift Virtualization ...', 'local');
+
+    assertAllReplayed();
+    assert.strictEqual(result.validation.status, 'repaired');
+    assert.match(result.validation.reason, /^invalid JSON/);
+    assert.deepStrictEqual(result.prompts, { extract: 'extract@1', repair: 'extract-repair@1' });
+    assert.strictEqual(result.features[0].featureName, 'Storage live migration for OpenShift Virtualization');
+
+    // The repair prompt shows the model its broken answer
+    const repairPrompt = replay.requests[1].body.messages[0].content;
+    assert.match(repairPrompt, /did not match the required schema: invalid JSON/);
+    assert.match(repairPrompt, /\{"extractedFeatures": \[\{"featureName": "Storage live migration/);
+});
+
+test('extractFeatures fails when the repaired output is still invalid', async () => {
+    replay.enqueue('extract', 'openai/extract-missing-fields', 'openai/extract-missing-fields');
+
+    const result = await aiService.extractFeatures('Satellite 6.17 ...', 'local');
+
+    assertAllReplayed();
+    assert.strictEqual(result.validation.status, 'failed');
+    assert.match(result.validation.reason, /potentialUseCases/);
+    assert.match(result.validation.reason, /\(after repair: /);
+    assert.deepStrictEqual(result.features, []);
+});
+
+test('extractFeatures retries rate limits and server errors', async () => {
+    replay.enqueue('extract', 'openai/error-429', 'openai/error-503', 'openai/extract-rhel-image-mode');
+
+    const result = await aiService.extractFeatures('Image mode for RHEL ...', 'local');
+
+    assertAllReplayed();
+    assert.strictEqual(replay.requests.length, 3);
+    assert.strictEqual(result.validation.status, 'ok');
+    assert.strictEqual(result.features[0].featureName, 'Image mode for RHEL');
+});
+
+test('extractFeatures gives up on an HTTP error that is not worth retrying', async () => {
+    replay.enqueue('extract', 'openai/error-401');
+
+    const result = await aiService.extractFeatures('Image mode for RHEL ...', 'local');
+
+    assertAllReplayed();
+    assert.strictEqual(replay.requests.length, 1);
+    assert.deepStrictEqual(result.features, []);
+    assert.deepStrictEqual(result.validation, { status: 'failed', reason: 'local extract call failed after 1 attempt: HTTP 401' });
+});
+
+test('extractFeatures reads recorded Gemini responses', async () => {
+    replay.enqueue('extract', 'gemini/error-500', 'gemini/extract-rhel-image-mode');
+
+    const result = await aiService.extractFeatures('Image mode for RHEL ...', 'gemini');
+
+    assertAllReplayed();
+    assert.strictEqual(replay.requests[1].url, '/models/gemini-2.5-flash:generateContent');
+    assert.strictEqual(replay.requests[1].headers['x-goog-api-key'], 'test-key');
+    assert.strictEqual(result.validation.status, 'ok');
+    assert.strictEqual(result.features[0].featureName, 'Image mode for RHEL');
+});
+
+test('generateGuide cleans up the recorded guide HTML', async () => {
+    replay.enqueue('guide', 'openai/guide');
+    replay.enqueue('infographic', 'openai/infographic-tool-call');
+
+    const result = await aiService.generateGuide(feature, useCase, 'local', 'general-tech', 'sysadmin');
+    const html = result.html;
+
+    assertAllReplayed();
+    assert.strictEqual(result.failed, undefined);
+    // Markdown fences
+    assert.doesNotMatch(html, /```/);
+    // Sections the model adds about the infographic, which the app renders itself
+    assert.doesNotMatch(html, /Infographic/);
+    assert.doesNotMatch(html, /Business Value Visualization/);
+    assert.doesNotMatch(html, /Picture a chart here/);
+    assert.doesNotMatch(html, /display:flex/);
+    // Images, runs of line breaks and empty containers
+    assert.doesNotMatch(html, /<img/);
+    assert.match(html, /<\/pre>\s*<br \/><br \/>\s*<h2>/);
+    assert.doesNotMatch(html, /<div[^>]*>\s*<\/div>/);
+    assert.doesNotMatch(html, /<section/);
+    // Sanitized
+    assert.doesNotMatch(html, /<script|alert\(|onclick/);
+    // and everything else kept, in order
+    assert.ok(html.startsWith('<h2>Introduction</h2>'));
+    assert.ok(html.endsWith('<p>Updates are now transactional and can be rolled back.</p>'));
+    assert.match(html, /<h2>Step 1: Build the image<\/h2>[\s\S]*<h2>Step 2: Roll it out<\/h2>[\s\S]*<h2>Conclusion<\/h2>/);
+    assert.match(html, /<code>podman build -t registry\.example\.com\/edge\/rhel:10 \.<\/code>/);
+    assert.match(html, /<a href="https:\/\/docs\.redhat\.com\/" target="_blank" rel="noopener noreferrer">documentation<\/a>/);
+
+    assert.strictEqual(result.infographic.title, 'Identical edge devices from one image');
+    assert.deepStrictEqual(result.prompts, { guide: 'guide@1', infographic: 'infographic@3' });
+});
+
+test('generateGuide accepts infographic data without a tool call', async () => {
+    replay.enqueue('guide', 'openai/guide');
+    replay.enqueue('infographic', 'openai/infographic-plain-content');
+
+    const result = await aiService.generateGuide(feature, useCase, 'local');
+
+    assertAllReplayed();
+    assert.strictEqual(result.infographic.flow.length, 3);
+    assert.deepStrictEqual(result.infographic.metrics[0], { value: '1', label: 'image for the whole fleet' });
+});
+
+test('generateGuide keeps the guide when the infographic cannot be repaired', async () => {
+    replay.enqueue('guide', 'openai/guide');
+    replay.enqueue('infographic', 'openai/infographic-html', 'openai/infographic-html');
+
+    const result = await aiService.generateGuide(feature, useCase, 'local');
+
+    assertAllReplayed();
+    assert.strictEqual(result.infographic, null);
+    assert.match(result.html, /<h2>Introduction<\/h2>/);
+    assert.deepStrictEqual(result.prompts, { guide: 'guide@1' });
+});
+
+test('generateGuide reports a failed guide call instead of returning it as the guide', async () => {
+    replay.enqueue('guide', 'openai/error-401');
+    replay.enqueue('infographic', 'openai/infographic-tool-call');
+
+    const result = await aiService.generateGuide(feature, useCase, 'local');
+
+    assertAllReplayed();
+    assert.strictEqual(result.failed, true);
+    assert.strictEqual(result.error, 'local guide call failed after 1 attempt: HTTP 401');
+    assert.strictEqual(result.infographic, null);
+    assert.match(result.html, /<h3>Error Generating Guide<\/h3>/);
+    assert.match(result.html, /HTTP 401/);
+});
@@ -0,0 +1,164 @@
+// test/api.test.js
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+
+const { startOffline } = require('./helpers/offline');
+
+// The JSON API over one stored article, with guides generated from recorded responses.
+// The tests run in order and build on each other's state.
+let offline, replay, store, server, baseUrl;
+
+before(async () => {
+    offline = await startOffline();
+    replay = offline.replay;
+    const app = require('../app');
+    store = require('../store');
+    await store.load();
+    store.upsertArticle({
+        key: 'recorded-rhel-10-image-mode',
+        title: 'Red Hat Enterprise Linux 10 brings image mode to general availability',
+        pubDate: 'Tue, 20 May 2025 12:00:00 GMT',
+        link: 'https://www.redhat.com/en/blog/rhel-10-image-mode',
+        sources: ['redhat-blog'],
+        contentHash: 'recorded',
+        features: [{
+            featureName: 'Image mode for RHEL',
+            featureSummary: 'RHEL 10 can be built, deployed and updated as a bootable container image.',
+            potentialUseCases: ['Roll out identical edge devices from one container image']
+        }],
+        validation: { status: 'ok', reason: null },
+        extractionProvider: 'local',
+        extractionModel: 'replay',
+        extractedAt: '2025-05-20T12:05:00.000Z'
+    });
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await offline.cleanup();
+});
+
+// Resolves to { status, body } with the body parsed as JSON
+async function api(method, pathname, body, headers = {}) {
+    const response = await fetch(baseUrl + pathname, {
+        method,
+        headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+function assertAllReplayed() {
+    assert.deepStrictEqual(replay.unexpected, []);
+    assert.deepStrictEqual(replay.pending(), []);
+}
+
+function assertError(response, status, message) {
+    assert.strictEqual(response.status, status);
+    assert.strictEqual(response.body.error.status, status);
+    assert.match(response.body.error.message, message);
+}
+
+let guideApiPath;
+
+test('GET /articles lists the stored article with links to its guides', async () => {
+    const { status, body } = await api('GET', '/articles');
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.articles.length, 1);
+    const [feature] = body.articles[0].features;
+    assert.match(feature.id, /^image-mode-for-rhel-[0-9a-f]{6}$/);
+    assert.strictEqual(body.articles[0].extraction.status, 'ok');
+    guideApiPath = feature.useCases[0].guideApiPath.replace(/^\/api\/v1/, '');
+    assert.match(guideApiPath, /^\/articles\/[0-9a-f]{12}\/features\/[^/]+\/use-cases\/[0-9a-f]{10}\/guide$/);
+});
+
+test('GET /articles answers 400 for filters it cannot read', async () => {
+    assertError(await api('GET', '/articles?from=yesterday'), 400, /"from" must be a date in YYYY-MM-DD format/);
+    assertError(await api('GET', '/articles?to=2025-13-45'), 400, /"to" must be a date/);
+    assertError(await api('GET', '/articles?source=nowhere'), 400, /Unknown source "nowhere"/);
+
+    const { status, body } = await api('GET', '/articles?from=2025-05-01&to=2025-05-31');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.articles.length, 1);
+});
+
+test('unknown articles, routes and guides that were never generated are 404s', async () => {
+    assertError(await api('GET', '/articles/000000000000'), 404, /Article not found/);
+    assertError(await api('GET', '/nothing-here'), 404, /No API route for GET \/api\/v1\/nothing-here/);
+    assertError(await api('GET', guideApiPath), 404, /No guide has been generated/);
+    assertError(await api('POST', `${guideApiPath}?provider=nobody`), 400, /Unknown provider "nobody"/);
+    assert.deepStrictEqual(replay.requests, []);
+});
+
+test('POST generates a guide version, which GET then serves', async () => {
+    replay.reset();
+    replay.enqueue('guide', 'openai/guide');
+    replay.enqueue('infographic', 'openai/infographic-tool-call');
+
+    const created = await api('POST', guideApiPath);
+
+    assertAllReplayed();
+    assert.strictEqual(created.status, 201);
+    const { guide } = created.body;
+    assert.strictEqual(guide.provider, 'local');
+    assert.strictEqual(guide.activeVersion, 1);
+    assert.strictEqual(guide.version.version, 1);
+    assert.deepStrictEqual(guide.version.prompts, { guide: 'guide@1', infographic: 'infographic@3' });
+    assert.ok(guide.version.html.startsWith('<h2>Introduction</h2>'));
+    assert.strictEqual(guide.version.infographic.title, 'Identical edge devices from one image');
+    assert.strictEqual(guide.version.infographicEdited, false);
+
+    replay.reset();
+    const fetched = await api('GET', guideApiPath);
+    assert.strictEqual(fetched.status, 200);
+    assert.deepStrictEqual(fetched.body, created.body);
+    assert.deepStrictEqual(replay.requests, []);
+
+    assertError(await api('GET', `${guideApiPath}?version=2`), 404, /Guide version not found/);
+});
+
+test('POST answers 502 and keeps the earlier version when the provider fails', async () => {
+    replay.reset();
+    replay.enqueue('guide', 'openai/error-401');
+    replay.enqueue('infographic', 'openai/infographic-tool-call');
+
+    assertError(await api('POST', guideApiPath), 502, /local provider could not generate the guide \(local guide call failed after 1 attempt: HTTP 401\)/);
+    assertAllReplayed();
+    const { body } = await api('GET', guideApiPath);
+    assert.deepStrictEqual(body.guide.versions.map(v => v.version), [1]);
+});
+
+test('PUT saves corrected infographic data and DELETE drops it again', async () => {
+    const { body: { guide } } = await api('GET', guideApiPath);
+    const edited = { ...guide.version.infographic, title: 'One image for every edge device' };
+
+    const saved = await api('PUT', `${guideApiPath}/infographic`, edited);
+    assert.strictEqual(saved.status, 200);
+    assert.strictEqual(saved.body.guide.version.infographic.title, 'One image for every edge device');
+    assert.strictEqual(saved.body.guide.version.infographicEdited, true);
+    assert.match(saved.body.guide.version.infographicHtml, /One image for every edge device/);
+
+    const reset = await api('DELETE', `${guideApiPath}/infographic`);
+    assert.strictEqual(reset.status, 200);
+    assert.strictEqual(reset.body.guide.version.infographic.title, 'Identical edge devices from one image');
+    assert.strictEqual(reset.body.guide.version.infographicEdited, false);
+});
+
+test('PUT rejects invalid infographic data and bodies it cannot read', async () => {
+    const { body: { guide } } = await api('GET', guideApiPath);
+
+    assertError(await api('PUT', `${guideApiPath}/infographic`, { ...guide.version.infographic, title: '' }), 400, /^Invalid infographic: .*title/);
+    assertError(await api('PUT', `${guideApiPath}/infographic`, '{"title": "unfinished'), 400, /^Request body is not valid JSON\.$/);
+    assertError(await api('PUT', `${guideApiPath}/infographic`, JSON.stringify({ title: 'x'.repeat(200 * 1024) })), 413, /too large/);
+    assertError(await api('PUT', `${guideApiPath}/infographic?version=7`, guide.version.infographic), 404, /Guide version not found/);
+
+    // Nothing was saved
+    const { body } = await api('GET', guideApiPath);
+    assert.strictEqual(body.guide.version.infographicEdited, false);
+});
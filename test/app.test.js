@@ -0,0 +1,241 @@
+// test/app.test.js
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const { startOffline } = require('./helpers/offline');
+
+// End to end: the recorded RSS feeds in test/fixtures/rss go through ingestion with
+// recorded LLM responses, and the pages are rendered from what ends up in the store.
+// The tests run in order and build on each other's state.
+let offline, replay, store, ingestion, server, baseUrl;
+
+before(async () => {
+    offline = await startOffline();
+    replay = offline.replay;
+    const app = require('../app');
+    store = require('../store');
+    ingestion = require('../ingestion');
+    await store.load();
+    server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await offline.cleanup();
+});
+
+async function get(pathname) {
+    const response = await fetch(baseUrl + pathname);
+    return { status: response.status, text: await response.text() };
+}
+
+function assertAllReplayed() {
+    assert.deepStrictEqual(replay.unexpected, []);
+    assert.deepStrictEqual(replay.pending(), []);
+}
+
+function findArticle(title) {
+    return store.listArticles().find(article => article.title === title);
+}
+
+const RHEL = 'Red Hat Enterprise Linux 10 brings image mode to general availability';
+const ANSIBLE = 'Ansible Lightspeed now explains existing playbooks';
+const CORPORATE = 'Red Hat named a leader in a recent industry report';
+const SATELLITE = "What's new in Red Hat Satellite 6.17";
+const VIRT = 'OpenShift Virtualization adds storage live migration';
+
+test('the first visit ingests the recorded feeds into the store', async () => {
+    // Feed order, one at a time (INGEST_CONCURRENCY=1): the Red Hat blog, then the
+    // OpenShift item that is not a duplicate
+    replay.enqueue('extract',
+        'openai/extract-rhel-image-mode',
+        'openai/extract-ansible-plain-content',
+        'openai/extract-empty',
+        'openai/error-401',
+        'openai/extract-truncated', 'openai/extract-virt-storage-migration');
+
+    const done = once(ingestion.events, 'done');
+    const page = await get('/');
+    assert.strictEqual(page.status, 200);
+    assert.match(page.text, /id="ingestion-progress"/);
+    const [job] = await done;
+
+    assertAllReplayed();
+    assert.strictEqual(job.status, 'done');
+    assert.deepStrictEqual({ total: job.total, extracted: job.extracted, failed: job.failed }, { total: 5, extracted: 4, failed: 1 });
+
+    // The article in both feeds is stored and extracted once
+    assert.strictEqual(store.listArticles().length, 5);
+    const rhel = findArticle(RHEL);
+    assert.deepStrictEqual(rhel.sources, ['redhat-blog', 'openshift']);
+    assert.strictEqual(rhel.textSource, 'rss');
+    assert.strictEqual(rhel.extractionProvider, 'local');
+    assert.strictEqual(rhel.extractionModel, 'replay');
+    assert.deepStrictEqual(rhel.extractionPrompts, { extract: 'extract@1' });
+    assert.strictEqual(rhel.extractionStats.calls, 1);
+    assert.deepStrictEqual([rhel.extractionStats.inputTokens, rhel.extractionStats.outputTokens], [412, 118]);
+    assert.deepStrictEqual(rhel.features.map(f => f.featureName), ['Image mode for RHEL']);
+
+    assert.strictEqual(findArticle(ANSIBLE).validation.status, 'ok');
+    assert.deepStrictEqual(findArticle(CORPORATE).features, []);
+    assert.deepStrictEqual(findArticle(SATELLITE).validation, { status: 'failed', reason: 'local extract call failed after 1 attempt: HTTP 401' });
+    const virt = findArticle(VIRT);
+    assert.strictEqual(virt.validation.status, 'repaired');
+    assert.deepStrictEqual(virt.extractionPrompts, { extract: 'extract@1', repair: 'extract-repair@1' });
+    assert.strictEqual(virt.extractionStats.calls, 2);
+
+    // New features go into a digest; the first one is the baseline, which is not sent to webhooks
+    assert.deepStrictEqual(store.listDigests()[0].articles.map(a => a.title).sort(), [ANSIBLE, VIRT, RHEL].sort());
+    assert.strictEqual(store.listDigests()[0].baseline, true);
+    assert.deepStrictEqual(rhel.knownFeatures, ['image-mode-for-rhel-c92e5d']);
+
+    // and everything is on disk
+    const saved = JSON.parse(fs.readFileSync(path.join(offline.dataDir, 'store.json'), 'utf8'));
+    assert.deepStrictEqual(Object.keys(saved.articles).sort(), store.listArticles().map(a => a.key).sort());
+    assert.strictEqual(saved.articles['recorded-rhel-10-image-mode'].features[0].featureName, 'Image mode for RHEL');
+});
+
+test('the index page is rendered from the store without new calls', async () => {
+    replay.reset();
+    const page = await get('/');
+
+    assert.strictEqual(page.status, 200);
+    assert.strictEqual(replay.requests.length, 0);
+    assert.doesNotMatch(page.text, /id="ingestion-progress"/);
+
+    // Articles without features are left out; the failed extraction is shown as an error
+    for (const title of [RHEL, ANSIBLE, 'What&#x27;s new in Red Hat Satellite 6.17', VIRT]) {
+        assert.ok(page.text.includes(`<h2>${title}</h2>`), title);
+    }
+    assert.ok(!page.text.includes(CORPORATE));
+    assert.match(page.text, /Feature extraction failed<\/strong> \(local, [^)]+\)\.[\s\S]*?local extract call failed after 1 attempt: HTTP 401/);
+    assert.match(page.text, /title="invalid JSON [^"]*">output repaired<\/span>/);
+    assert.match(page.text, /<span class="source-tag">Red Hat Blog \(recorded\)<\/span> <span class="source-tag">OpenShift Blog \(recorded\)<\/span>/);
+
+    assert.match(page.text, /<h4>Image mode for RHEL<\/h4>/);
+    assert.match(page.text, /<h4>Playbook explanations in Ansible Lightspeed<\/h4>/);
+    assert.match(page.text, /<h4>Storage live migration for OpenShift Virtualization<\/h4>/);
+    assert.match(page.text, /<a href="\/guide\/[^"/]+\/image-mode-for-rhel-c92e5d\/[^"/?]+\?provider=local"[\s\S]*?Roll out identical edge devices from one container image/);
+});
+
+// The guide link on the index page for a use case of the RHEL article
+async function guideLink(useCase, query = '') {
+    const page = await get(`/${query}`);
+    const links = Array.from(page.text.matchAll(/<a href="([^"]+)"\s+class="use-case-link"[^>]*>\s*([^<]+?)\s*<\/a>/g));
+    const link = links.find(([, , text]) => text === useCase);
+    assert.ok(link, `no guide link for ${useCase}`);
+    return link[1];
+}
+
+test('a guide page is generated once, cleaned up and stored', async () => {
+    const link = await guideLink('Roll out identical edge devices from one container image');
+    replay.enqueue('guide', 'openai/guide');
+    replay.enqueue('infographic', 'openai/infographic-tool-call');
+
+    const page = await get(link);
+
+    assertAllReplayed();
+    assert.strictEqual(page.status, 200);
+    assert.match(page.text, /<h2>Step 1: Build the image<\/h2>/);
+    assert.doesNotMatch(page.text, /Business Value Visualization|Picture a chart here|alert\(/);
+    assert.match(page.text, /<div class="rh-infographic">/);
+    assert.match(page.text, /Identical edge devices from one image/);
+
+    const [guide] = Object.values(JSON.parse(fs.readFileSync(path.join(offline.dataDir, 'store.json'), 'utf8')).guides);
+    assert.strictEqual(guide.provider, 'local');
+    assert.strictEqual(guide.versions.length, 1);
+    assert.ok(guide.versions[0].html.startsWith('<h2>Introduction</h2>'));
+    assert.strictEqual(guide.versions[0].infographic.title, 'Identical edge devices from one image');
+    assert.deepStrictEqual(guide.versions[0].prompts, { guide: 'guide@1', infographic: 'infographic@3' });
+    assert.strictEqual(guide.versions[0].stats.calls, 2);
+
+    // Served from the store the second time
+    replay.reset();
+    const again = await get(link);
+    assert.strictEqual(again.status, 200);
+    assert.strictEqual(replay.requests.length, 0);
+    assert.match(again.text, /<h2>Step 1: Build the image<\/h2>/);
+
+    // and through links made before feature IDs carried a hash of the name
+    const legacy = await get(link.replace('/image-mode-for-rhel-c92e5d/', '/image-mode-for-rhel/'));
+    assert.strictEqual(legacy.status, 200);
+    assert.strictEqual(replay.requests.length, 0);
+    assert.match(legacy.text, /<h2>Step 1: Build the image<\/h2>/);
+});
+
+test('a guide that fails to generate is shown as an error and not stored', async () => {
+    const link = await guideLink('Roll back a failed operating system update in one step');
+    replay.reset();
+    // The first attempt and both retries fail
+    replay.enqueue('guide', 'openai/error-503', 'openai/error-503', 'openai/error-503');
+    replay.enqueue('infographic', 'openai/infographic-tool-call');
+
+    const page = await get(link);
+
+    assertAllReplayed();
+    assert.strictEqual(page.status, 502);
+    assert.match(page.text, /<h3>Error Generating Guide<\/h3>/);
+    assert.match(page.text, /local guide call failed after 3 attempts: HTTP 503/);
+    assert.strictEqual(Object.keys(JSON.parse(fs.readFileSync(path.join(offline.dataDir, 'store.json'), 'utf8')).guides).length, 1);
+});
+
+test('requests that open the same new guide at once share one generation', async () => {
+    const link = await guideLink('Patch a fleet of servers with a single transactional update');
+    replay.reset();
+    // Recordings for one generation only; a second one would find nothing queued
+    replay.enqueue('guide', 'openai/guide');
+    replay.enqueue('infographic', 'openai/infographic-tool-call');
+
+    const pages = await Promise.all([get(link), get(link)]);
+
+    assertAllReplayed();
+    assert.deepStrictEqual(pages.map(page => page.status), [200, 200]);
+    assert.strictEqual(pages[0].text, pages[1].text);
+    const guides = Object.values(JSON.parse(fs.readFileSync(path.join(offline.dataDir, 'store.json'), 'utf8')).guides);
+    assert.strictEqual(guides.length, 2);
+    assert.ok(guides.every(guide => guide.versions.length === 1));
+});
+
+test('a guide link carries the provider picked on the index page', async () => {
+    const link = await guideLink('Roll out identical edge devices from one container image', '?provider=gemini');
+    assert.match(link, /\?provider=gemini$/);
+    replay.reset();
+    replay.enqueue('guide', 'gemini/guide');
+    replay.enqueue('infographic', 'gemini/infographic');
+
+    const page = await get(link);
+
+    // The article was extracted by the local provider, but Gemini writes this guide
+    assertAllReplayed();
+    assert.deepStrictEqual(replay.requests.map(request => request.api), ['gemini', 'gemini']);
+    assert.strictEqual(page.status, 200);
+    assert.match(page.text, /<h2>Step 1: Build the bootc image<\/h2>/);
+    assert.match(page.text, /One image for every edge device/);
+    const providersUsed = Object.values(JSON.parse(fs.readFileSync(path.join(offline.dataDir, 'store.json'), 'utf8')).guides).map(guide => guide.provider);
+    assert.deepStrictEqual(providersUsed.sort(), ['gemini', 'local', 'local']);
+});
+
+test('a refresh only extracts the article that failed last time', async () => {
+    replay.reset();
+    replay.enqueue('extract', 'openai/extract-empty');
+    const extractedAt = findArticle(RHEL).extractedAt;
+
+    const done = once(ingestion.events, 'done');
+    await get('/?refresh=true');
+    const [job] = await done;
+
+    assertAllReplayed();
+    assert.strictEqual(job.total, 1);
+    assert.deepStrictEqual(findArticle(SATELLITE).validation, { status: 'ok', reason: null });
+    assert.strictEqual(findArticle(RHEL).extractedAt, extractedAt);
+
+    const page = await get('/');
+    assert.doesNotMatch(page.text, /Satellite/);
+    assert.doesNotMatch(page.text, /Feature extraction failed/);
+});
@@ -0,0 +1,287 @@
+// test/digest.test.js
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { once, EventEmitter } = require('events');
+const http = require('http');
+const { Parser, parseDocument, DomUtils } = require('htmlparser2');
+
+const { startOffline } = require('./helpers/offline');
+
+// Ingestion runs over the recorded feeds, with digests delivered to a local webhook
+// receiver, then the feeds and the Slack payload are built from hand-made digests.
+// The ingestion tests run in order and build on each other's state.
+let offline, replay, store, ingestion, digest, receiver;
+const received = [];
+const deliveries = new EventEmitter();
+
+before(async () => {
+    offline = await startOffline();
+    replay = offline.replay;
+
+    receiver = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            received.push(JSON.parse(raw));
+            res.end();
+            deliveries.emit('payload');
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    process.env.DIGEST_WEBHOOK_URL = `http://127.0.0.1:${receiver.address().port}/digest`;
+
+    store = require('../store');
+    ingestion = require('../ingestion');
+    digest = require('../digest');
+    await store.load();
+});
+
+after(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+    await offline.cleanup();
+});
+
+const RHEL = 'recorded-rhel-10-image-mode';
+const VIRT = 'recorded-openshift-virt-storage-migration';
+
+// Run ingestion with the recordings for the articles that need extracting, in feed order
+async function ingest(...recordings) {
+    replay.reset();
+    replay.enqueue('extract', ...recordings);
+    const done = once(ingestion.events, 'done');
+    ingestion.startIngestion('local');
+    const [job] = await done;
+    assert.deepStrictEqual(replay.unexpected, []);
+    assert.deepStrictEqual(replay.pending(), []);
+    return job;
+}
+
+// As if the article was edited in the feed, so the next run extracts it again
+function markEdited(key) {
+    store.getArticle(key).contentHash = 'edited';
+}
+
+test('the first run records a baseline digest that is not delivered', async () => {
+    await ingest(
+        'openai/extract-rhel-image-mode',
+        'openai/extract-ansible-plain-content',
+        'openai/extract-empty',
+        'openai/error-401',
+        'openai/extract-virt-storage-migration');
+
+    const digests = store.listDigests();
+    assert.strictEqual(digests.length, 1);
+    assert.strictEqual(digests[0].baseline, true);
+    assert.strictEqual(digest.featureCount(digests[0]), 3);
+    assert.deepStrictEqual(digests[0].deliveries, []);
+    assert.deepStrictEqual(received, []);
+});
+
+test('features an article had before a failed extraction are not announced again', async () => {
+    // The edited RHEL article fails, then comes back with the same feature;
+    // Satellite, which failed on the first run, is retried both times
+    markEdited(RHEL);
+    await ingest('openai/error-401', 'openai/error-401');
+    assert.deepStrictEqual(store.getArticle(RHEL).features, []);
+
+    markEdited(RHEL);
+    await ingest('openai/extract-rhel-image-mode', 'openai/extract-empty');
+
+    assert.deepStrictEqual(store.getArticle(RHEL).features.map(feature => feature.featureName), ['Image mode for RHEL']);
+    assert.strictEqual(store.listDigests().length, 1);
+    assert.deepStrictEqual(received, []);
+});
+
+test('only the features that are new to an article are announced and delivered', async () => {
+    // Both articles come back with the storage migration feature, which only the VIRT article had
+    markEdited(RHEL);
+    markEdited(VIRT);
+    const delivered = once(deliveries, 'payload');
+    await ingest('openai/extract-virt-storage-migration', 'openai/extract-virt-storage-migration');
+    await delivered;
+
+    const [latest] = store.listDigests();
+    assert.strictEqual(store.listDigests().length, 2);
+    assert.strictEqual(latest.baseline, false);
+    assert.deepStrictEqual(latest.articles.map(article => article.articleId), [store.articleId(store.getArticle(RHEL))]);
+    assert.deepStrictEqual(latest.articles[0].features.map(feature => feature.featureName), ['Storage live migration for OpenShift Virtualization']);
+
+    assert.strictEqual(received.length, 1);
+    const [payload] = received;
+    assert.strictEqual(payload.type, 'feature-digest');
+    assert.strictEqual(payload.digestId, latest.id);
+    assert.strictEqual(payload.featureCount, 1);
+    assert.match(payload.articles[0].features[0].useCases[0].guideUrl, /^https?:\/\/[^/]+\/guide\/[0-9a-f]{12}\/storage-live-migration-for-openshift-virtualization-[0-9a-f]{6}\/[0-9a-f]{10}$/);
+});
+
+// --- Feeds ---
+const HOSTILE = {
+    title: 'Tips & tricks <script>alert(1)</script>',
+    link: 'https://example.com/post?a=1&b=2',
+    featureName: 'Q&A "bot" <beta>',
+    featureSummary: "It's fast ]]> & safe &amp; sound",
+    useCase: 'Answer <b>support</b> questions'
+};
+
+function addHostileDigest() {
+    return store.addDigest({
+        id: 'hostile-1',
+        createdAt: '2026-10-01T12:00:00.000Z',
+        jobId: 'hostile',
+        provider: 'local',
+        baseline: false,
+        articles: [{
+            articleId: 'a1b2c3d4e5f6',
+            title: HOSTILE.title,
+            link: HOSTILE.link,
+            pubDate: 'Thu, 01 Oct 2026 10:00:00 GMT',
+            sources: ['redhat-blog'],
+            features: [{
+                featureId: 'q-a-bot-beta-123abc',
+                featureName: HOSTILE.featureName,
+                featureSummary: HOSTILE.featureSummary,
+                useCases: [{ text: HOSTILE.useCase, guidePath: '/guide/a1b2c3d4e5f6/q-a-bot-beta-123abc/0123456789' }]
+            }]
+        }],
+        deliveries: []
+    });
+}
+
+// Tags that close out of order or are never closed, and bare ampersands.
+// htmlparser2 closes tags itself where they are missing, so those closes are the problems.
+function wellFormednessProblems(xml) {
+    const problems = [];
+    const open = [];
+    const parser = new Parser({
+        onopentag(name) { open.push(name); },
+        onclosetag(name, isImplied) {
+            open.pop();
+            const selfClosing = xml[parser.endIndex - 1] === '/';
+            if (isImplied && !selfClosing) problems.push(`<${name}> is not closed where it should be`);
+        }
+    }, { xmlMode: true });
+    parser.write(xml);
+    problems.push(...open.map(name => `<${name}> is never closed`));
+    parser.end();
+    const bareAmpersand = xml.match(/&(?!(?:amp|lt|gt|quot|apos|#\d+);)[^;\s]*/);
+    if (bareAmpersand) problems.push(`bare ampersand: ${bareAmpersand[0]}`);
+    return problems;
+}
+
+function child(element, name) {
+    return DomUtils.getChildren(element).find(node => node.name === name);
+}
+
+function text(element, name) {
+    const found = child(element, name);
+    return found ? DomUtils.textContent(found) : undefined;
+}
+
+test('the Atom feed is well-formed, escaped and has the required elements', () => {
+    addHostileDigest();
+    const xml = digest.toAtom();
+
+    assert.deepStrictEqual(wellFormednessProblems(xml), []);
+    assert.doesNotMatch(xml, /<script|<beta>|<b>/);
+
+    const feed = DomUtils.findOne(node => node.name === 'feed', parseDocument(xml, { xmlMode: true }).children);
+    assert.strictEqual(feed.attribs.xmlns, 'http://www.w3.org/2005/Atom');
+    for (const name of ['id', 'title', 'updated']) {
+        assert.ok(text(feed, name), `feed has no ${name}`);
+    }
+    assert.ok(text(child(feed, 'author'), 'name'));
+    assert.ok(DomUtils.getChildren(feed).some(node => node.name === 'link' && node.attribs.rel === 'self'));
+
+    const entries = DomUtils.getChildren(feed).filter(node => node.name === 'entry');
+    assert.strictEqual(entries.length, 5);
+    for (const entry of entries) {
+        for (const name of ['id', 'title', 'updated', 'content']) {
+            assert.ok(text(entry, name), `entry has no ${name}`);
+        }
+        assert.ok(!Number.isNaN(Date.parse(text(entry, 'updated'))));
+        assert.ok(child(entry, 'link').attribs.href);
+    }
+    assert.strictEqual(new Set(entries.map(entry => text(entry, 'id'))).size, entries.length);
+
+    // Newest first; the text comes back exactly, and the HTML content keeps it escaped
+    const [hostile] = entries;
+    assert.strictEqual(text(hostile, 'title'), HOSTILE.featureName);
+    assert.strictEqual(child(hostile, 'link').attribs.href, HOSTILE.link);
+    assert.strictEqual(child(hostile, 'content').attribs.type, 'html');
+    const content = text(hostile, 'content');
+    assert.ok(content.includes('<p>It&apos;s fast ]]&gt; &amp; safe &amp;amp; sound</p>'), content);
+    assert.ok(content.includes('>Tips &amp; tricks &lt;script&gt;alert(1)&lt;/script&gt;</a>'), content);
+    assert.ok(content.includes('>Answer &lt;b&gt;support&lt;/b&gt; questions</a>'), content);
+});
+
+test('the RSS feed is well-formed, escaped and has the required elements', () => {
+    const xml = digest.toRss();
+
+    assert.deepStrictEqual(wellFormednessProblems(xml), []);
+    assert.doesNotMatch(xml, /<script|<beta>|<b>/);
+
+    const channel = DomUtils.findOne(node => node.name === 'channel', parseDocument(xml, { xmlMode: true }).children);
+    for (const name of ['title', 'link', 'description']) {
+        assert.ok(text(channel, name), `channel has no ${name}`);
+    }
+
+    const items = DomUtils.getChildren(channel).filter(node => node.name === 'item');
+    assert.strictEqual(items.length, 5);
+    for (const item of items) {
+        for (const name of ['guid', 'title', 'link', 'pubDate', 'description']) {
+            assert.ok(text(item, name), `item has no ${name}`);
+        }
+    }
+    const [hostile] = items;
+    assert.strictEqual(text(hostile, 'title'), HOSTILE.featureName);
+    assert.strictEqual(text(hostile, 'link'), HOSTILE.link);
+    assert.strictEqual(text(hostile, 'pubDate'), 'Thu, 01 Oct 2026 12:00:00 GMT');
+});
+
+// --- Slack ---
+function slackDigest(articleCount, featuresPerArticle, title) {
+    return {
+        id: 'slack-1',
+        articles: Array.from({ length: articleCount }, (_, a) => ({
+            articleId: `article${a}`,
+            title: title || `Announcement ${a}`,
+            link: `https://example.com/${a}`,
+            features: Array.from({ length: featuresPerArticle }, (_, f) => ({
+                featureId: `feature-${f}`,
+                featureName: `Feature ${f} <with> & markup`,
+                featureSummary: `${'A summary that takes up some room. '.repeat(4)}(${f})`,
+                useCases: [{ text: 'Use case', guidePath: `/guide/article${a}/feature-${f}/0123456789` }]
+            }))
+        }))
+    };
+}
+
+test('Slack sections stay within 3000 characters and keep every link whole', () => {
+    const payload = digest.slackPayload(slackDigest(1, 40, '🚀'.repeat(300)));
+    const section = payload.blocks[1].text.text;
+
+    assert.ok(section.length <= 3000, `${section.length} characters`);
+    const more = section.match(/\n…and (\d+) more$/);
+    assert.ok(more, section.slice(-100));
+    const shown = (section.match(/^• /gm) || []).length;
+    assert.ok(shown > 0);
+    assert.strictEqual(shown + Number(more[1]), 40);
+
+    // Links are <url|text>; with them taken out, the only angle brackets left would be cut links
+    assert.doesNotMatch(section.replace(/<[^<>|]+\|[^<>]*>/g, ''), /[<>]/);
+    assert.match(section, /&lt;with&gt; &amp; markup/);
+    // The title is clipped without splitting an emoji in half
+    assert.doesNotMatch(section, /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/);
+});
+
+test('Slack sections list every feature when they fit, and a message has at most 50 blocks', () => {
+    const small = digest.slackPayload(slackDigest(1, 3));
+    assert.strictEqual((small.blocks[1].text.text.match(/^• /gm) || []).length, 3);
+    assert.doesNotMatch(small.blocks[1].text.text, /more$/);
+    assert.strictEqual(small.text, '3 new Red Hat features in 1 announcement');
+
+    const large = digest.slackPayload(slackDigest(60, 1));
+    assert.strictEqual(large.blocks.length, 50);
+    assert.strictEqual(large.blocks[0].type, 'header');
+});
@@ -0,0 +1,52 @@
+// test/helpers/offline.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createReplayServer } = require('./replay');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// Start the replay server and point every setting at it or at the fixtures, so nothing
+// leaves the machine. config.js reads the environment once, when it is first required,
+// so call this before requiring any module of the app.
+// Resolves to { replay, dataDir, cleanup }.
+async function startOffline() {
+    const replay = createReplayServer();
+    const baseUrl = await replay.listen();
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'announcements-test-'));
+
+    Object.assign(process.env, {
+        NODE_ENV: 'test',
+        DATA_DIR: dataDir,
+        FEEDS_CONFIG: path.join(FIXTURES_DIR, 'feeds.json'),
+        FETCH_FULL_ARTICLES: 'false',
+        INGEST_CONCURRENCY: '1',
+        PROMPTS_RELOAD: 'false',
+
+        AI_PROVIDER: 'local',
+        LOCAL_LLM_BASE_URL: `${baseUrl}/v1`,
+        LOCAL_LLM_MODEL: 'replay',
+        LOCAL_LLM_USE_TOOLS: 'true',
+        GEMINI_API_KEY: 'test-key',
+        GEMINI_API_BASE_URL: baseUrl,
+
+        // Fast retries: a recorded 429 or 503 is retried after a few milliseconds
+        LLM_RETRY_BASE_MS: '1',
+        LLM_MAX_RETRIES: '2',
+
+        // Set, but blank, so values from a developer's .env are not picked up
+        OPENAI_API_KEY: '',
+        DIGEST_WEBHOOK_URL: '',
+        DIGEST_SLACK_WEBHOOK_URL: ''
+    });
+
+    async function cleanup() {
+        await replay.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    return { replay, dataDir, cleanup };
+}
+
+module.exports = { startOffline };
@@ -0,0 +1,102 @@
+// test/helpers/replay.js
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// ----------------------------------------------------
+// 🎞️ RECORDED LLM RESPONSES
+// A local HTTP server that answers the OpenAI chat completions API (used by the
+// `local` provider) and the Gemini generateContent API with responses recorded
+// in test/fixtures/llm/<api>/<name>.json:
+//   { "status": 200, "headers": { ... }, "body": { ...API response... } }
+// Tests queue the recordings each kind of call should get, in order:
+//   replay.enqueue('extract', 'openai/extract-rhel-image-mode', 'openai/error-503')
+// The kind is read from the prompt (extraction, infographic or guide), since the
+// guide and its infographic are requested at the same time. A call with nothing
+// queued is answered with a 404 and listed in `unexpected`.
+// ----------------------------------------------------
+const RECORDINGS_DIR = path.join(__dirname, '..', 'fixtures', 'llm');
+
+function loadRecording(name) {
+    return JSON.parse(fs.readFileSync(path.join(RECORDINGS_DIR, `${name}.json`), 'utf8'));
+}
+
+// The repair prompts repeat the original prompt, so they are classified with it
+function promptKind(prompt) {
+    if (prompt.includes('Analyze the following Red Hat news article')) return 'extract';
+    if (prompt.includes('Plan a one-screen infographic')) return 'infographic';
+    return 'guide';
+}
+
+function promptText(url, body) {
+    if (url.endsWith('/chat/completions')) {
+        return { api: 'openai', text: body.messages.map(m => m.content).join('\n') };
+    }
+    if (/:generateContent$/.test(url)) {
+        return { api: 'gemini', text: body.contents.flatMap(c => c.parts.map(p => p.text)).join('\n') };
+    }
+    return null;
+}
+
+function createReplayServer() {
+    const queues = { extract: [], infographic: [], guide: [] };
+    const requests = []; // { api, url, headers, kind, recording, body } for every call answered
+    const unexpected = []; // calls that had nothing queued, or went to an unknown path
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const url = req.url.split('?')[0];
+            const body = raw ? JSON.parse(raw) : {};
+            const prompt = req.method === 'POST' ? promptText(url, body) : null;
+            const kind = prompt && promptKind(prompt.text);
+            const name = kind && queues[kind].shift();
+
+            if (!name) {
+                unexpected.push({ method: req.method, url, kind });
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ error: { message: `No recording queued for ${req.method} ${url} (${kind || 'unknown'})` } }));
+            }
+
+            requests.push({ api: prompt.api, url: req.url, headers: req.headers, kind, recording: name, body });
+            const recording = loadRecording(name);
+            res.writeHead(recording.status || 200, { 'Content-Type': 'application/json', ...(recording.headers || {}) });
+            res.end(JSON.stringify(recording.body));
+        });
+    });
+
+    return {
+        requests,
+        unexpected,
+
+        // Start on a free port; resolves to the base URL
+        async listen() {
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            return `http://127.0.0.1:${server.address().port}`;
+        },
+
+        close() {
+            return new Promise(resolve => server.close(resolve));
+        },
+
+        enqueue(kind, ...names) {
+            queues[kind].push(...names);
+        },
+
+        // Recordings queued but never asked for
+        pending() {
+            return Object.values(queues).flat();
+        },
+
+        // Forget the calls seen so far and anything still queued
+        reset() {
+            Object.values(queues).forEach(queue => queue.splice(0));
+            requests.splice(0);
+            unexpected.splice(0);
+        }
+    };
+}
+
+module.exports = { createReplayServer };
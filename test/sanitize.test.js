@@ -0,0 +1,121 @@
+// test/sanitize.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { sanitizeGuideHtml, sanitizeInfographicHtml } = require('../sanitize');
+const providers = require('../providers');
+const { generateGuide } = require('../aiService');
+const { checkInfographic, render: renderInfographic } = require('../infographic');
+
+const hostileGuide = fs.readFileSync(path.join(__dirname, 'fixtures', 'hostile', 'guide.html'), 'utf8');
+const hostileInfographic = fs.readFileSync(path.join(__dirname, 'fixtures', 'hostile', 'infographic.html'), 'utf8');
+
+// Nothing that runs script or loads an external resource may survive
+function assertNoActiveContent(html) {
+    assert.doesNotMatch(html, /<script/i);
+    assert.doesNotMatch(html, /<iframe/i);
+    assert.doesNotMatch(html, /<object/i);
+    assert.doesNotMatch(html, /<link/i);
+    assert.doesNotMatch(html, /<style/i);
+    assert.doesNotMatch(html, /<form/i);
+    assert.doesNotMatch(html, /<img/i);
+    assert.doesNotMatch(html, /<svg/i);
+    assert.doesNotMatch(html, /\son\w+\s*=/i);
+    assert.doesNotMatch(html, /javascript:/i);
+    assert.doesNotMatch(html, /url\s*\(/i);
+    assert.doesNotMatch(html, /expression\s*\(/i);
+}
+
+test('sanitizeGuideHtml drops active content from a hostile guide', () => {
+    const html = sanitizeGuideHtml(hostileGuide);
+
+    assertNoActiveContent(html);
+    assert.doesNotMatch(html, /evil\.example/);
+    assert.doesNotMatch(html, /style=/);
+});
+
+test('sanitizeGuideHtml keeps the guide structure and safe links', () => {
+    const html = sanitizeGuideHtml(hostileGuide);
+
+    assert.match(html, /<h2>Introduction<\/h2>/);
+    assert.match(html, /<code>oc get pods<\/code>/);
+    assert.match(html, /<h3>Step 1<\/h3>/);
+    assert.match(html, /<a href="https:\/\/docs\.redhat\.com\/" target="_blank" rel="noopener noreferrer">docs<\/a>/);
+    assert.match(html, /<p>Conclusion<\/p>/);
+});
+
+test('sanitizeInfographicHtml keeps the inline layout styles', () => {
+    const html = sanitizeInfographicHtml(hostileInfographic);
+
+    assertNoActiveContent(html);
+    assert.match(html, /display:flex/);
+    assert.match(html, /box-sizing:border-box/);
+    assert.match(html, /max-width:100%/);
+    assert.match(html, /color:#cc0000/);
+    assert.match(html, /background:#0066cc/);
+    assert.match(html, /<h3 style="margin-top:0">Before<\/h3>/);
+});
+
+test('sanitizeInfographicHtml drops positioning that could overlay the page', () => {
+    const html = sanitizeInfographicHtml(hostileInfographic);
+
+    assert.doesNotMatch(html, /position/);
+    assert.doesNotMatch(html, /[";]top:/);
+});
+
+test('sanitizeInfographicHtml drops styles that load resources through escapes or other functions', () => {
+    const escaped = sanitizeInfographicHtml('<div style="background:\\75rl(https://evil.example/x.png)">Before</div>');
+    const imageSet = sanitizeInfographicHtml('<div style="background:image-set(\'https://evil.example/x.png\' 1x)">After</div>');
+
+    assert.strictEqual(escaped, '<div>Before</div>');
+    assert.strictEqual(imageSet, '<div>After</div>');
+});
+
+test('sanitizeInfographicHtml keeps colour and length functions', () => {
+    const html = sanitizeInfographicHtml('<div style="color:rgba(204, 0, 0, 0.8);width:calc(50% - 1em)">Metrics</div>');
+
+    assert.strictEqual(html, '<div style="color:rgba(204, 0, 0, 0.8);width:calc(50% - 1em)">Metrics</div>');
+});
+
+test('sanitizers pass through empty output', () => {
+    assert.strictEqual(sanitizeGuideHtml(null), null);
+    assert.strictEqual(sanitizeInfographicHtml(''), '');
+});
+
+test('generateGuide sanitizes the guide and never keeps model HTML as the infographic', async () => {
+    providers.registerProvider({
+        name: 'hostile',
+        label: 'Hostile fixture',
+        models: { extract: 'fixture', guide: 'fixture' },
+        isConfigured: () => true,
+        extract: async () => '[]',
+        generateGuide: async () => hostileGuide,
+        generateInfographic: async () => hostileInfographic
+    });
+
+    const result = await generateGuide({ featureName: 'Image mode', featureSummary: 'Bootable containers' }, 'Patching', 'hostile', 'Retail');
+
+    assertNoActiveContent(result.html);
+    assert.match(result.html, /<h2>Introduction<\/h2>/);
+    // HTML is not infographic data, even after the repair pass
+    assert.strictEqual(result.infographic, null);
+});
+
+test('infographic data from the model is escaped by the partial', () => {
+    const { data } = checkInfographic({
+        title: '<script>alert(1)</script>',
+        before: { heading: 'Before', points: ['<img src=x onerror=alert(1)>'] },
+        after: { heading: 'After', points: ['<a href="javascript:alert(1)">Faster</a>'] },
+        metrics: [{ value: '50%', label: 'less <b>time</b>' }],
+        flow: [{ step: 'Pilot', detail: 'One team' }, { step: 'Scale', detail: 'Everyone' }]
+    });
+    const html = renderInfographic(data);
+
+    assert.doesNotMatch(html, /<script/i);
+    assert.doesNotMatch(html, /<img/i);
+    assert.doesNotMatch(html, /<a /i);
+    assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+});
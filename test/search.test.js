@@ -0,0 +1,116 @@
+// test/search.test.js
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startOffline } = require('./helpers/offline');
+
+// The source filter checks feed ids against test/fixtures/feeds.json
+let offline, search;
+
+before(async () => {
+    offline = await startOffline();
+    search = require('../search');
+});
+
+after(() => offline.cleanup());
+
+const articles = [
+    {
+        key: 'rhel',
+        title: 'Red Hat Enterprise Linux 10 brings image mode to general availability',
+        pubDate: 'Tue, 20 May 2025 12:00:00 GMT',
+        sources: ['redhat-blog', 'openshift'],
+        features: [
+            { featureName: 'Image mode for RHEL', featureSummary: 'Bootable container images.', potentialUseCases: ['Roll out identical edge devices'] },
+            { featureName: 'Lightspeed in the terminal', featureSummary: 'Ask for help on the command line.', potentialUseCases: ['Explain an error message'] }
+        ]
+    },
+    {
+        key: 'virt',
+        title: 'OpenShift Virtualization adds storage live migration',
+        pubDate: 'Sat, 31 May 2025 23:30:00 GMT',
+        sources: ['openshift'],
+        features: [
+            { featureName: 'Storage live migration', featureSummary: 'Move VM disks while they keep running. Café-grade reliability.', potentialUseCases: ['Retire a storage array'] }
+        ]
+    },
+    {
+        key: 'undated',
+        title: 'An item without a publication date',
+        pubDate: 'sometime',
+        sources: ['redhat-blog'],
+        features: []
+    }
+];
+
+function keys(results) {
+    return results.map(article => article.key);
+}
+
+test('parseFilters reads words, quoted phrases, the source and the dates', () => {
+    const filters = search.parseFilters({ q: '  Image "Edge Devices" Café ', source: 'openshift', from: '2025-05-01', to: '2025-05-31' });
+
+    assert.deepStrictEqual(filters, {
+        q: 'Image "Edge Devices" Café',
+        terms: ['image', 'edge devices', 'cafe'],
+        source: 'openshift',
+        from: '2025-05-01',
+        to: '2025-05-31',
+        errors: []
+    });
+    assert.strictEqual(search.isFiltered(filters), true);
+    assert.strictEqual(search.isFiltered(search.parseFilters({})), false);
+});
+
+test('parseFilters drops values it cannot read and lists them as errors', () => {
+    const filters = search.parseFilters({ source: 'nowhere', from: '2025-5-1', to: '2025-02-30' });
+
+    assert.strictEqual(filters.source, null);
+    assert.strictEqual(filters.from, null);
+    assert.strictEqual(filters.to, null);
+    assert.deepStrictEqual(filters.errors, [
+        'Unknown source "nowhere".',
+        '"from" must be a date in YYYY-MM-DD format.',
+        '"to" must be a date in YYYY-MM-DD format.'
+    ]);
+    for (const day of ['yesterday', '2025-13-01', '2025-04-31', '2025-05-01T00:00']) {
+        assert.deepStrictEqual(search.parseFilters({ from: day }).errors, ['"from" must be a date in YYYY-MM-DD format.'], day);
+    }
+    assert.deepStrictEqual(search.parseFilters({ to: '2024-02-29' }).errors, []);
+});
+
+test('searchArticles filters by date, with the whole "to" day included', () => {
+    const find = query => keys(search.searchArticles(articles, search.parseFilters(query)));
+
+    assert.deepStrictEqual(find({}), ['rhel', 'virt', 'undated']);
+    assert.deepStrictEqual(find({ from: '2025-05-21' }), ['virt']);
+    assert.deepStrictEqual(find({ to: '2025-05-20' }), ['rhel']);
+    assert.deepStrictEqual(find({ from: '2025-05-31', to: '2025-05-31' }), ['virt']);
+    assert.deepStrictEqual(find({ from: '2025-06-01' }), []);
+});
+
+test('searchArticles filters by source', () => {
+    const find = query => keys(search.searchArticles(articles, search.parseFilters(query)));
+
+    assert.deepStrictEqual(find({ source: 'openshift' }), ['rhel', 'virt']);
+    assert.deepStrictEqual(find({ source: 'redhat-blog', to: '2025-12-31' }), ['rhel']);
+});
+
+test('searchArticles only keeps the features that match, unless the title does', () => {
+    const [rhel] = search.searchArticles(articles, search.parseFilters({ q: 'terminal' }));
+    assert.deepStrictEqual(rhel.features.map(feature => feature.featureName), ['Lightspeed in the terminal']);
+    // The stored article is left alone
+    assert.strictEqual(articles[0].features.length, 2);
+
+    const [titleMatch] = search.searchArticles(articles, search.parseFilters({ q: '"enterprise linux"' }));
+    assert.strictEqual(titleMatch.features.length, 2);
+
+    assert.deepStrictEqual(keys(search.searchArticles(articles, search.parseFilters({ q: 'cafe' }))), ['virt']);
+    assert.deepStrictEqual(keys(search.searchArticles(articles, search.parseFilters({ q: 'image migration' }))), []);
+});
+
+test('filterQuery keeps the filters on links', () => {
+    const filters = search.parseFilters({ q: 'image mode', source: 'openshift', from: '2025-05-01', to: 'bad' });
+    assert.strictEqual(search.filterQuery(filters, { provider: 'gemini', refresh: '' }), 'provider=gemini&q=image+mode&source=openshift&from=2025-05-01');
+});
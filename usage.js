@@ -0,0 +1,115 @@
+// usage.js
+
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const store = require('./store');
+const { config } = require('./config');
+
+// ----------------------------------------------------
+// 💰 LLM USAGE AND COST ACCOUNTING
+// Every call made through providers/llmCall.js is recorded here: token
+// counts, an estimated cost from pricing.json (or PRICING_CONFIG) and the
+// outcome. Daily totals per provider are kept in the store; the most recent
+// calls are only kept in memory. Both are shown on /admin/usage.
+// The store holds every article's text, so it is not rewritten after each call:
+// the totals go out with the next save, at most SAVE_DELAY_MS later.
+// ----------------------------------------------------
+const PRICING_CONFIG = config.pricingConfig;
+const RECENT_CALLS = 50;
+const SAVE_DELAY_MS = 5000;
+
+const pricing = JSON.parse(fs.readFileSync(PRICING_CONFIG, 'utf8'));
+const recentCalls = [];
+// Calls made inside trackCalls() are also collected here, per async context
+const tracking = new AsyncLocalStorage();
+
+// Price per million tokens for a model, falling back to a per-provider price (e.g. free local models)
+function priceFor(provider, model) {
+    return (pricing.models || {})[model] || (pricing.providers || {})[provider] || null;
+}
+
+// Estimated cost in pricing.currency, or null when the model has no price configured
+function estimateCost(provider, model, inputTokens, outputTokens) {
+    const price = priceFor(provider, model);
+    if (!price) return null;
+    return (inputTokens * price.inputPerMillion + outputTokens * price.outputPerMillion) / 1000000;
+}
+
+// Rough token count for providers that do not report usage (about 4 characters per token)
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+// call: { provider, operation, model, ok, attempts, durationMs, inputTokens, outputTokens, estimatedTokens, error }
+function recordCall(call) {
+    const cost = estimateCost(call.provider, call.model, call.inputTokens, call.outputTokens);
+    const entry = { ...call, cost, at: new Date().toISOString() };
+
+    const tracked = tracking.getStore();
+    if (tracked) tracked.push(entry);
+
+    recentCalls.unshift(entry);
+    recentCalls.length = Math.min(recentCalls.length, RECENT_CALLS);
+
+    store.recordUsage(entry.at.substring(0, 10), call.provider, {
+        calls: 1,
+        failures: call.ok ? 0 : 1,
+        retries: call.attempts - 1,
+        inputTokens: call.inputTokens,
+        outputTokens: call.outputTokens,
+        cost: cost || 0
+    });
+    scheduleSave();
+    return entry;
+}
+
+// --- Saving ---
+let saveTimer = null;
+
+// One save for all the calls made within SAVE_DELAY_MS. The timer does not keep the
+// process alive; a lost write only loses those few seconds of numbers.
+function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        store.save().catch(error => console.error('[Usage] Could not save usage totals:', error.message));
+    }, SAVE_DELAY_MS);
+    saveTimer.unref();
+}
+
+// Daily totals, newest day first: [{ day, providers: [{ provider, calls, ... }], total: { ... } }]
+function dailyTotals() {
+    return Object.entries(store.getUsage())
+        .sort(([a], [b]) => b.localeCompare(a))
+        .map(([day, byProvider]) => {
+            const rows = Object.entries(byProvider).map(([provider, totals]) => ({ provider, ...totals }));
+            const total = rows.reduce((sum, row) => {
+                for (const field of ['calls', 'failures', 'retries', 'inputTokens', 'outputTokens', 'cost']) {
+                    sum[field] += row[field] || 0;
+                }
+                return sum;
+            }, { calls: 0, failures: 0, retries: 0, inputTokens: 0, outputTokens: 0, cost: 0 });
+            return { day, providers: rows, total };
+        });
+}
+
+// Run fn and total up the LLM calls it made (including retries and parallel calls):
+// resolves to { result, stats: { durationMs, calls, inputTokens, outputTokens, cost } }
+async function trackCalls(fn) {
+    const calls = [];
+    const startedAt = Date.now();
+    const result = await tracking.run(calls, fn);
+    const stats = { durationMs: Date.now() - startedAt, calls: calls.length, inputTokens: 0, outputTokens: 0, cost: 0 };
+    for (const call of calls) {
+        stats.inputTokens += call.inputTokens;
+        stats.outputTokens += call.outputTokens;
+        stats.cost += call.cost || 0;
+    }
+    return { result, stats };
+}
+
+function listRecentCalls() {
+    return recentCalls;
+}
+
+module.exports = { currency: pricing.currency || 'USD', estimateCost, estimateTokens, recordCall, trackCalls, dailyTotals, listRecentCalls };